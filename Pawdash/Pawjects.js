@@ -1,6 +1,6 @@
 /* Dylan's Local Dev Dashboard — v3 production (single-file)
    - Vanilla JS + tiny modal helper
-   - LocalStorage primary + optional File System Access API sync to /data/savedata.example.json // in progress
+   - IndexedDB primary (storage adapter, localStorage fallback) + optional File System Access API sync to <folder>/savedata.json (conflict-aware)
    - Progress bar calculated from saved data (reliable, collapse-safe)
    - Keeps original features (add/edit/delete, drag/drop, import/export, undo, modals, keyboard shortcuts)
    - IndexedDB persists directory handle when supported
@@ -15,8 +15,15 @@ window.addEventListener('DOMContentLoaded', () => {
        ------------------------- */
     // 🐾 Pawjects Local Storage Identifiers
     const STORAGE_KEY = 'pawjects_dashboard_v1';
+    const SCHEMA_VERSION = 4; // bump + add a MIGRATIONS entry whenever the stored shape changes
+    const STORAGE_META = { app: 'pawjects', version: SCHEMA_VERSION };
     const IDB_DB = 'pawjects-fs-handles';
     const IDB_STORE = 'handles';
+    const NATIVE_FILENAME = 'savedata.json'; // main board; other boards sync to savedata.<boardId>.json
+    const FOLDER_DATA_DIR = 'pawjects-data'; // inside the connected folder: every stored key as its own file (folder backend)
+    const DATA_DB = 'pawjects-data'; // IndexedDB home of the boards (see Storage adapter)
+    const DATA_STORE = 'kv';
+    const STORAGE_CHANNEL = 'pawjects-storage'; // BroadcastChannel that keeps tabs / the app window in step
 
     const DEBUG = false; // flip true for extra console logs
 
@@ -30,7 +37,7 @@ window.addEventListener('DOMContentLoaded', () => {
                 { text: "🎯 Purpose: A free, offline taskboard that saves data in your browser.", done: false, desc: "" },
                 { text: "⚙️ Quick Start: N = new section, Q = quick add, / = search, Ctrl+E = export, Ctrl+Z = undo.", done: false, desc: "" },
                 { text: "📂 Import / Export: Use header buttons to backup or restore saved data.", done: false, desc: "" },
-                { text: "🧠 Autosave + Undo: Every edit saves automatically — you can undo the last change.", done: false, desc: "" },
+                { text: "🧠 Autosave + Undo: Every edit saves automatically — Ctrl+Z undoes, Ctrl+Shift+Z redoes.", done: false, desc: "" },
                 { text: "🖱️ Drag & Drop: Reorder sections and tasks freely by dragging.", done: false, desc: "" },
                 { text: "🎨 Sections: Each can have a title, tag, color, and due date.", done: false, desc: "" },
                 { text: "💡 Customize quick links and sidebar IPs to your environment.", done: false, desc: "" }
@@ -38,8 +45,85 @@ window.addEventListener('DOMContentLoaded', () => {
         }
     ];
 
-    // Undo snapshot (keep only last destructive state)
-    let lastSnapshot = null;
+    // Per-board chrome: title, header quick links and sidebar panels (host / service rows)
+    const DEFAULT_BOARD = {
+        title: '🐾 Pawjects — Local Taskboard',
+        links: [
+            { label: 'Proxmox', url: 'https://proxmox.example.local:8006', icon: '' },
+            { label: 'Pelican Panel', url: 'https://panel.pelican.example.local', icon: '' }
+        ],
+        panels: [
+            {
+                id: 'hosts', title: '💻 System Overview', rows: [
+                    { host: '192.168.0.10', label: 'Dev Server A' },
+                    { host: '192.168.0.11', label: 'Dev Server B' },
+                    { host: '192.168.0.20', label: 'Storage Node' },
+                    { host: '192.168.0.30', label: 'Test Machine' }
+                ]
+            },
+            {
+                id: 'services', title: '🔌 Services', rows: [
+                    { host: 'example.com:8080', label: 'Web App' },
+                    { host: 'example.com:3306', label: 'Database' },
+                    { host: 'example.com:25565', label: 'Game Server' },
+                    { host: 'example.com:9000', label: 'API Gateway' }
+                ]
+            }
+        ]
+    };
+    const PRIORITIES = ['P0', 'P1', 'P2', 'P3'];
+    // Kanban columns, in board order; `done` on a task mirrors status === 'done'
+    const STATUSES = [
+        { id: 'todo', label: '📝 Todo' },
+        { id: 'doing', label: '🚧 In Progress' },
+        { id: 'blocked', label: '⛔ Blocked' },
+        { id: 'done', label: '✅ Done' }
+    ];
+    const VIEW_KEY = 'pawjects_view'; // 'list' | 'board' | 'stats' (UI preference, not board data)
+    const VIEWS = ['list', 'board', 'stats'];
+    const TIMER_KEY = 'pawjects_timer'; // the one running timer { board, secId, taskId, text, start }
+    // Due dates: "due soon" window, reminder settings / snoozes (UI preference), when a date-only due falls
+    const REMINDER_KEY = 'pawjects_reminders';
+    const DUE_SOON_DAYS = 3;
+    const DUE_HOUR = 9;
+    const DUE_SUMMARY_LIMIT = 8;
+    const REMINDER_CHECK_MS = 60 * 1000;
+
+    // Command palette
+    const PALETTE_LIMIT = 12;
+
+    // Touch drag / swipe
+    const LONG_PRESS_MS = 450;
+    const MOVE_SLOP = 10; // px of movement that cancels a long-press
+    const SWIPE_PX = 80;
+    const AUTO_SCROLL_EDGE = 60;
+    const AUTO_SCROLL_MAX = 18; // px per frame at the very edge
+
+    // Theme presets (variables live in Pawjects.css under :root[data-theme])
+    const THEME_PRESETS = {
+        auto: { label: '🖥️ System', accent1: '', accent2: '' },
+        dark: { label: '🌙 Dark', accent1: '#38bdf8', accent2: '#7c5cf8' },
+        light: { label: '☀️ Light', accent1: '#0284c7', accent2: '#6d28d9' },
+        contrast: { label: '◐ High contrast', accent1: '#ffd60a', accent2: '#00e5ff' }
+    };
+
+    // Undo / redo history (bounded, persisted next to the board so it survives reloads)
+    const HISTORY_LIMIT = 50;
+    // Activity log (per board, in IndexedDB next to the backups): size cap, events shown in the panel, logged desc length
+    const ACTIVITY_MAX_BYTES = 256 * 1024;
+    const ACTIVITY_SHOWN = 300;
+    const ACTIVITY_DESC_CHARS = 160;
+
+    // Boards — every board is its own envelope under boardKey(id); the index lists them and the active one
+    const BOARDS_KEY = 'pawjects_boards';
+    const MAIN_BOARD_ID = 'main'; // the original board keeps STORAGE_KEY, so existing data never moves
+
+    // Automatic snapshots in IndexedDB (settings are a UI preference, shared by all boards)
+    const BACKUP_SETTINGS_KEY = 'pawjects_backups';
+    const BACKUP_INTERVAL = 60 * 60 * 1000;
+    const BACKUP_CHECK_MS = 5 * 60 * 1000;
+    const BACKUP_KEEP_DEFAULT = 30, BACKUP_KEEP_MIN = 1, BACKUP_KEEP_MAX = 500;
+    const DELETED_BOARDS_IDB = 'backups:deleted'; // [{ id, title, at }] — boards whose snapshots outlive them
 
     /* -------------------------
        Optional native file sync
@@ -96,11 +180,30 @@ window.addEventListener('DOMContentLoaded', () => {
         } catch (e) { return false; }
     }
 
+    // Ask the browser not to evict localStorage / IndexedDB under storage pressure (granted silently for installed apps)
+    async function requestPersistentStorage() {
+        const el = document.getElementById('storage-status');
+        if (!navigator.storage || !navigator.storage.persist) return false;
+        try {
+            const persisted = (await navigator.storage.persisted()) || (await navigator.storage.persist());
+            if (el) {
+                el.textContent = persisted ? '🔒 Persistent' : '⚠️ Not persistent';
+                el.title = persisted
+                    ? 'The browser will keep this board even when disk space runs low'
+                    : 'The browser may clear this board under storage pressure — install the app or export backups';
+                el.dataset.state = persisted ? 'on' : 'off';
+                el.classList.remove('hidden');
+            }
+            log('storage persisted:', persisted);
+            return persisted;
+        } catch (e) { return false; }
+    }
+
     /* -------------------------
        Mini modal helper (local MicroModal-like)
        ------------------------- */
     const mm = (function () {
-        let overlay, container, currentClose;
+        let overlay, container, currentClose, currentRelease;
         function ensure() {
             if (overlay) return;
             overlay = document.createElement('div');
@@ -116,37 +219,93 @@ window.addEventListener('DOMContentLoaded', () => {
 
             container = document.createElement('div');
             container.className = 'mm-container';
+            container.setAttribute('role', 'dialog');
+            container.setAttribute('aria-modal', 'true');
             container.style.width = 'min(880px, 96%)';
             container.style.maxHeight = '92vh';
             container.style.overflow = 'auto';
-            container.style.background = 'linear-gradient(180deg, rgba(255,255,255,0.02), rgba(255,255,255,0.01))';
+            container.style.background = 'var(--modal-bg, linear-gradient(180deg, rgba(var(--tint),0.02), rgba(var(--tint),0.01)))';
             container.style.padding = '18px';
             container.style.borderRadius = '12px';
-            container.style.border = '1px solid rgba(255,255,255,0.03)';
+            container.style.border = '1px solid rgba(var(--tint),0.03)';
             container.style.boxSizing = 'border-box';
 
+            // Escape closes unless the dialog handled it itself (e.g. the palette stepping back)
+            container.addEventListener('keydown', (e) => { if (e.key === 'Escape' && !e.defaultPrevented && currentClose) { e.preventDefault(); currentClose(); } });
+
             overlay.appendChild(container);
             document.body.appendChild(overlay);
         }
         function open(html, onOpen = null, onClose = null) {
             ensure();
+            // opened over itself: keep the original opener as the focus target
+            const release = currentRelease && overlay.style.display !== 'none' ? currentRelease : trapFocus(container);
+            currentRelease = release;
             container.innerHTML = html;
+            const heading = container.querySelector('h3');
+            if (heading) { heading.id = 'mm-title'; container.setAttribute('aria-labelledby', 'mm-title'); }
+            else container.removeAttribute('aria-labelledby');
             overlay.style.display = 'flex';
-            currentClose = () => {
+            let closed = false;
+            const close = () => {
+                if (closed) return;
+                closed = true;
                 overlay.style.display = 'none';
+                if (currentRelease === release) currentRelease = null;
+                release();
                 if (onClose) onClose();
             };
-            if (onOpen) onOpen({ container, close: currentClose });
-            return { close: currentClose, container };
+            currentClose = close;
+            if (onOpen) onOpen({ container, close });
+            if (!container.contains(document.activeElement)) {
+                const first = container.querySelector(FOCUSABLE);
+                if (first) first.focus();
+            }
+            return { close, container };
         }
         return { open };
     })();
 
+    /* -------------------------
+       Accessibility helpers
+       - announce(): polite screen-reader message via the #sr-announcer live region
+       - trapFocus(): keeps Tab inside a dialog and hands focus back to the opener on release
+       ------------------------- */
+    const FOCUSABLE = 'a[href], button:not([disabled]), input:not([disabled]):not([type="hidden"]), select:not([disabled]), textarea:not([disabled]), [tabindex]:not([tabindex="-1"])';
+
+    function announce(msg) {
+        const region = document.getElementById('sr-announcer');
+        if (!region) return;
+        // clear first so repeating the same message is still read out
+        region.textContent = '';
+        setTimeout(() => { region.textContent = msg; }, 50);
+    }
+
+    function trapFocus(root) {
+        const opener = document.activeElement;
+        const focusables = () => Array.from(root.querySelectorAll(FOCUSABLE)).filter(el => !el.closest('.hidden') && el.getClientRects().length !== 0);
+        const onKey = (e) => {
+            if (e.key !== 'Tab') return;
+            const els = focusables();
+            if (!els.length) { e.preventDefault(); return; }
+            const first = els[0];
+            const last = els[els.length - 1];
+            if (e.shiftKey && (document.activeElement === first || !root.contains(document.activeElement))) { e.preventDefault(); last.focus(); }
+            else if (!e.shiftKey && (document.activeElement === last || !root.contains(document.activeElement))) { e.preventDefault(); first.focus(); }
+        };
+        root.addEventListener('keydown', onKey);
+        return () => {
+            root.removeEventListener('keydown', onKey);
+            // the opener may have been re-rendered away — renderAll() puts focus back on the task by id
+            if (opener && opener.isConnected && opener.focus) opener.focus();
+        };
+    }
+
     /* -------------------------
        Utilities
        ------------------------- */
     function uid(prefix = 'id') {
-        return `${prefix}-${Date.now().toString(36)}-${Math.floor(Math.random() * 9000 + 1000).toString(36)}`;
+        return `${prefix}-${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 8)}`;
     }
     function nowISO() { return new Date().toISOString(); }
     function escapeHtml(s = '') { return String(s).replace(/[&<>"']/g, c => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' })[c]); }
@@ -155,936 +314,4648 @@ window.addEventListener('DOMContentLoaded', () => {
     function log(...a) { if (DEBUG) console.log('[TODO]', ...a); }
 
     /* -------------------------
-       Storage — localStorage primary (fast), optional native file sync
+       Markdown (safe subset) for task descriptions
+       - everything is escaped first; only tags generated here reach innerHTML
+       - links limited to http(s) / mailto, opened in a new tab
+       - supports headings, lists, [ ] / [x] checklists, quotes, fenced code (with copy), hr, **bold** *em* ~~del~~ `code`
        ------------------------- */
+    function safeUrl(url) { return /^(https?:\/\/|mailto:)/i.test(String(url || '').trim()); }
 
-    // Try to restore persisted native dir handle from IndexedDB
-    (async function tryRestoreDirHandle() {
-        if (!('showDirectoryPicker' in window)) return;
-        const maybe = await idbGet('nativeDirHandle');
-        if (maybe) {
-            try {
-                // browser will give a live handle back (structured clone)
-                nativeDirHandle = maybe;
-                // test permission
-                const permission = await nativeDirHandle.queryPermission({ mode: 'readwrite' });
-                if (permission === 'granted') {
-                    log('Restored native dir handle from IDB (granted).');
-                    // attempt to load file if present
-                    await loadFromNativeFileIfExists();
-                } else if (permission === 'prompt') {
-                    // we keep it but won't auto-write until user approves
-                    log('Restored native dir handle — permission prompt required on write.');
-                } else {
-                    log('Restored handle has no permission; clearing persisted handle.');
-                    nativeDirHandle = null;
-                    await idbDelete('nativeDirHandle');
-                }
-            } catch (err) {
-                log('Failed restoring native handle:', err);
-                nativeDirHandle = null;
-                await idbDelete('nativeDirHandle');
-            }
-        }
-    })();
+    function mdLink(url, labelHtml) {
+        return `<a href="${escapeHtml(url)}" target="_blank" rel="noopener noreferrer">${labelHtml}</a>`;
+    }
 
-    // ===============================
-    // 🗂 Folder Connection / Native Sync (safe fallback)
-    // ===============================
-    async function connectNativeFolder() {
-        console.groupCollapsed("📁 connectNativeFolder()");
-        if ('showDirectoryPicker' in window) {
-            try {
-                nativeDirHandle = await window.showDirectoryPicker();
-                console.log("✅ Folder connected:", nativeDirHandle.name);
-                localStorage.setItem("native-folder-access", "true");
-            } catch (err) {
-                console.warn("⚠️ Folder selection cancelled:", err);
-                nativeDirHandle = null;
-            }
-        } else {
-            console.warn("🚫 File System Access API not supported — using localStorage only.");
-            nativeDirHandle = null;
-        }
-        console.groupEnd();
+    function mdEmphasis(html) {
+        return html
+            .replace(/\*\*(?=\S)([\s\S]*?\S)\*\*/g, '<strong>$1</strong>')
+            .replace(/(^|[^\w])__(?=\S)([\s\S]*?\S)__(?!\w)/g, '$1<strong>$2</strong>')
+            .replace(/\*(?=\S)([^*]*?\S)\*/g, '<em>$1</em>')
+            .replace(/(^|[^\w])_(?=\S)([^_]*?\S)_(?!\w)/g, '$1<em>$2</em>')
+            .replace(/~~(?=\S)([\s\S]*?\S)~~/g, '<del>$1</del>');
     }
 
-    async function ensureNativeFile() {
-        if (!nativeDirHandle) return;
-        try {
-            const fileHandle = await nativeDirHandle.getFileHandle(NATIVE_FILENAME, { create: true });
-            const writable = await fileHandle.createWritable();
-            await writable.write('[]'); // empty JSON
-            await writable.close();
-            console.log("✅ ensured native file exists:", NATIVE_FILENAME);
-        } catch (err) {
-            console.warn("⚠️ Could not ensure native file:", err);
+    function mdInline(text) {
+        const slots = [];
+        const hold = (html) => `\u0000${slots.push(html) - 1}\u0000`;
+        const out = String(text).replace(/\u0000/g, '')
+            .replace(/`([^`]+)`/g, (_, code) => hold(`<code>${escapeHtml(code)}</code>`))
+            .replace(/\[([^\]]+)\]\(([^)\s]+)\)/g, (m, label, url) => safeUrl(url) ? hold(mdLink(url, mdEmphasis(escapeHtml(label)))) : m)
+            .replace(/\b(?:https?:\/\/|mailto:)[^\s<>()]+[^\s<>().,;:!?'"]/gi, (url) => hold(mdLink(url, escapeHtml(url))));
+        // slots can hold other slots (`code` inside a link label) — restore until none are left
+        let html = mdEmphasis(escapeHtml(out));
+        for (let pass = 0; pass <= slots.length && /\u0000\d+\u0000/.test(html); pass++) {
+            html = html.replace(/\u0000(\d+)\u0000/g, (_, i) => slots[Number(i)]);
         }
+        return html;
     }
 
-
-
-    // Save store to localStorage (always) and, if nativeDirHandle available and permitted, also to file
-    async function saveData(arr, opts = {}) {
-        try {
-            if (!Array.isArray(arr)) throw new Error('invalid payload (saveData)');
-            // snapshot for undo (unless told to skip)
-            if (!opts.skipSnapshot) {
-                lastSnapshot = localStorage.getItem(STORAGE_KEY);
+    function renderMarkdown(src) {
+        const lines = String(src || '').replace(/\r\n?/g, '\n').split('\n');
+        const html = [];
+        let i = 0;
+        const isBlockStart = (l) => /^(```|#{1,6}\s|>|\s*([-*+]|\d+[.)])\s|(-{3,}|\*{3,})\s*$)/.test(l);
+        while (i < lines.length) {
+            const line = lines[i];
+            if (!line.trim()) { i++; continue; }
+
+            const fence = line.match(/^```\s*([\w+-]*)/);
+            if (fence) {
+                const code = [];
+                i++;
+                while (i < lines.length && !/^```/.test(lines[i])) code.push(lines[i++]);
+                i++; // closing fence (or EOF)
+                const lang = fence[1] ? ` data-lang="${escapeHtml(fence[1])}"` : '';
+                html.push(`<div class="md-code"><button type="button" class="small md-copy" title="Copy to clipboard">📋 Copy</button><pre><code${lang}>${escapeHtml(code.join('\n'))}</code></pre></div>`);
+                continue;
             }
-            // normalize and persist locally
-            localStorage.setItem(STORAGE_KEY, JSON.stringify(arr));
-            localStorage.setItem(`${STORAGE_KEY}:meta`, JSON.stringify({ ...STORAGE_META, updatedAt: nowISO() }));
-            updateLastSaved(nowISO());
-            updateGlobalProgress(true); // calculate from stored data (reliable)
-            rebuildFilterOptions();
 
-            // attempt native file write if available
-            try {
-                if (nativeDirHandle && typeof nativeDirHandle.getFileHandle === 'function') {
-                    // check permission
-                    const perm = await nativeDirHandle.queryPermission({ mode: 'readwrite' });
-                    if (perm === 'granted') {
-                        await writeToNativeFile(arr);
-                        log('Saved to native file.');
-                    } else {
-                        log('Native dir handle present but not writable; skipping native write.');
-                    }
-                }
-            } catch (err) {
-                console.warn('Native write failed:', err);
+            const heading = line.match(/^(#{1,6})\s+(.*)$/);
+            if (heading) {
+                const level = Math.min(heading[1].length + 3, 6);
+                html.push(`<h${level}>${mdInline(heading[2])}</h${level}>`);
+                i++; continue;
             }
-        } catch (err) {
-            console.error('Save error', err);
-        }
-    }
-
-
 
-    // Loads data from localStorage (primary). If native file exists and is newer, prefer that.
-    async function loadData() {
-        console.groupCollapsed("🧩 loadData()");
-        try {
-            const raw = localStorage.getItem(STORAGE_KEY);
-            let parsed;
+            if (/^(-{3,}|\*{3,})\s*$/.test(line)) { html.push('<hr>'); i++; continue; }
 
-            if (!raw) {
-                console.log("🆕 No local data found — using DEFAULTS.");
-                parsed = JSON.parse(JSON.stringify(DEFAULTS));
-                await saveData(parsed, { skipSnapshot: true });
-            } else {
-                try {
-                    parsed = JSON.parse(raw);
-                    if (!Array.isArray(parsed)) throw new Error("Invalid structure");
-                } catch (err) {
-                    console.warn("⚠️ Corrupted localStorage data — resetting:", err);
-                    parsed = JSON.parse(JSON.stringify(DEFAULTS));
-                    await saveData(parsed, { skipSnapshot: true });
-                }
+            if (/^>/.test(line)) {
+                const quoted = [];
+                while (i < lines.length && /^>/.test(lines[i])) quoted.push(lines[i++].replace(/^>\s?/, ''));
+                html.push(`<blockquote>${renderMarkdown(quoted.join('\n'))}</blockquote>`);
+                continue;
             }
 
-            // Filesystem sync if available
-            if (nativeDirHandle?.getFileHandle) {
-                try {
-                    const fileHandle = await nativeDirHandle.getFileHandle(NATIVE_FILENAME, { create: false });
-                    const file = await fileHandle.getFile();
-                    const txt = await file.text();
-                    const json = JSON.parse(txt || '[]');
-                    if (Array.isArray(json)) {
-                        console.log("💾 Loaded from native file:", NATIVE_FILENAME);
-                        parsed = json;
-                        localStorage.setItem(STORAGE_KEY, JSON.stringify(parsed));
-                    }
-                } catch {
-                    console.log("📁 No native file found, skipping.");
+            const item = line.match(/^\s*([-*+]|\d+[.)])\s+(.*)$/);
+            if (item) {
+                const ordered = /\d/.test(item[1]);
+                const items = [];
+                while (i < lines.length) {
+                    const m = lines[i].match(/^\s*([-*+]|\d+[.)])\s+(.*)$/);
+                    if (!m || /\d/.test(m[1]) !== ordered) break;
+                    const check = m[2].match(/^\[([ xX])\]\s+(.*)$/);
+                    items.push(check
+                        ? `<li class="md-check"><input type="checkbox" disabled${check[1] !== ' ' ? ' checked' : ''}> ${mdInline(check[2])}</li>`
+                        : `<li>${mdInline(m[2])}</li>`);
+                    i++;
                 }
+                const tag = ordered ? 'ol' : 'ul';
+                html.push(`<${tag}>${items.join('')}</${tag}>`);
+                continue;
             }
 
-            // Ensure “Quick Guide” exists
-            if (!parsed.some(s => s.id === "home-quick")) {
-                console.log("📘 Injecting quick start section");
-                parsed.unshift(JSON.parse(JSON.stringify(DEFAULTS[0])));
-                await saveData(parsed, { skipSnapshot: true });
-            }
-
-            // Normalize data
-            parsed.forEach(section => {
-                if (!Array.isArray(section.tasks)) section.tasks = [];
-                section.tasks = section.tasks.map(t => ({
-                    text: String(t?.text || ''),
-                    done: !!t?.done,
-                    desc: typeof t?.desc === 'string' ? t.desc : ''
-                }));
-            });
+            const para = [];
+            while (i < lines.length && lines[i].trim() && !(para.length && isBlockStart(lines[i]))) para.push(lines[i++]);
+            html.push(`<p>${para.map(mdInline).join('<br>')}</p>`);
+        }
+        return html.join('');
+    }
 
-            console.log(`✅ Loaded ${parsed.length} sections, total tasks:`,
-                parsed.reduce((a, s) => a + s.tasks.length, 0));
-            console.groupEnd();
-            return parsed;
-        } catch (err) {
-            console.error("❌ Fatal load error:", err);
-            console.groupEnd();
-            const safe = JSON.parse(JSON.stringify(DEFAULTS));
-            await saveData(safe, { skipSnapshot: true });
-            return safe;
+    async function copyText(text) {
+        try {
+            await navigator.clipboard.writeText(text);
+            return true;
+        } catch {
+            // file:// pages may not expose the async clipboard — fall back to a hidden textarea
+            const ta = document.createElement('textarea');
+            ta.value = text;
+            ta.style.position = 'fixed'; ta.style.opacity = '0';
+            document.body.appendChild(ta);
+            ta.select();
+            const ok = document.execCommand && document.execCommand('copy');
+            ta.remove();
+            return !!ok;
         }
     }
 
-    // Write JSON to the native file inside chosen folder
-    async function writeToNativeFile(arr) {
-        if (!nativeDirHandle) throw new Error('No native dir handle');
-        const fh = await nativeDirHandle.getFileHandle(NATIVE_FILENAME, { create: true });
-        const writable = await fh.createWritable();
-        await writable.write(JSON.stringify(arr, null, 2));
-        await writable.close();
+    /* -------------------------
+       Storage adapter — one interface for wherever board data lives
+       - backend: { name, entries() → [[key, value, version]], read(key) → { value, version } | null, write(key, value, version), remove(key) }
+         (all async; version 0 = stored before values were stamped)
+         · IndexedDB (default): large quota; existing localStorage boards are moved over on first start
+         · localStorage: fallback when IndexedDB can't be opened (private windows, old browsers)
+         · folder (folderBackend): the connected folder's pawjects-data/ — attached on top of the browser backend once
+           the user grants access (storage.attach), since it can't be read at startup without a click; writes then go
+           to both, and the browser copy stays what other tabs and the next start read
+       - savedata*.json next to it is separate: a readable copy of the open board with conflict detection (see Native folder sync)
+       - `storage` keeps every key in memory after open(): get() is synchronous and never hits the backend,
+         set() updates memory first and then writes through; failed writes (quota) are reported loudly
+       - every value carries a version (a per-key clock, ms since epoch and always rising); once a write has landed only
+         { key, version } is broadcast to the other tabs (and the installed app window), which re-read the key from the
+         backend unless they already hold that version or a newer one — so all windows settle on the newest value and a
+         second window never saves a stale board over the first one's changes. IndexedDB also refuses to overwrite a
+         newer version, so two tabs writing at once can't leave the older value behind
+       - only board data goes through here; small per-device prefs (view, timer, reminders) stay in localStorage
+       ------------------------- */
+    function isDataKey(key) {
+        return key === BOARDS_KEY || key === STORAGE_KEY || key.startsWith(`${STORAGE_KEY}:`) || key.startsWith(`${STORAGE_KEY}@`);
     }
 
-    // If native file exists, read and load into localStorage (used at startup when dir handle restored)
-    async function loadFromNativeFileIfExists() {
-        if (!nativeDirHandle) return false;
-        try {
-            const fh = await nativeDirHandle.getFileHandle(NATIVE_FILENAME, { create: false });
-            if (!fh) return false;
-            const file = await fh.getFile();
-            const txt = await file.text();
-            const json = JSON.parse(txt || '[]');
-            if (Array.isArray(json)) {
-                localStorage.setItem(STORAGE_KEY, JSON.stringify(json));
-                log('Loaded data from native file into localStorage');
-                return true;
+    // Stores raw values (no versions): writes are synchronous, so what's there is always the newest
+    const localStorageBackend = {
+        name: 'localStorage',
+        async entries() {
+            const out = [];
+            for (let i = 0; i < localStorage.length; i++) {
+                const key = localStorage.key(i);
+                if (isDataKey(key)) out.push([key, localStorage.getItem(key), 0]);
             }
-        } catch (err) {
-            log('No native file to load (or failed)', err);
-        }
-        return false;
-    }
+            return out;
+        },
+        async read(key) {
+            const value = localStorage.getItem(key);
+            return value == null ? null : { value, version: 0 };
+        },
+        async write(key, value) { localStorage.setItem(key, value); },
+        async remove(key) { localStorage.removeItem(key); }
+    };
 
-    // Ask user to pick the folder (e.g., your /data/). Persist handle via IDB.
-    async function promptConnectFolder() {
-        if (!('showDirectoryPicker' in window)) {
-            alert('Your browser does not support the File System Access API. Native folder sync unavailable.');
-            return;
-        }
-        try {
-            const dir = await window.showDirectoryPicker();
-            if (!dir) return;
-            nativeDirHandle = dir;
-            // persist if possible
+    function openDataDb() {
+        return new Promise((resolve) => {
+            if (!('indexedDB' in window)) return resolve(null);
             try {
-                await idbPut('nativeDirHandle', dir);
-                log('Persisted native dir handle to IndexedDB.');
-            } catch (e) {
-                log('Could not persist dir handle to IndexedDB.', e);
-            }
-            // ensure file exists
+                const req = indexedDB.open(DATA_DB, 1);
+                req.onupgradeneeded = () => req.result.createObjectStore(DATA_STORE);
+                req.onsuccess = () => resolve(req.result);
+                req.onerror = () => resolve(null);
+                req.onblocked = () => resolve(null);
+            } catch { resolve(null); }
+        });
+    }
+
+    function indexedDbBackend(db) {
+        // one transaction per call; readwrite transactions on the same store commit in the order they were made
+        const run = (mode, fn) => new Promise((resolve, reject) => {
+            const tx = db.transaction(DATA_STORE, mode);
+            const result = fn(tx.objectStore(DATA_STORE));
+            tx.oncomplete = () => resolve(result);
+            tx.onabort = tx.onerror = () => reject(tx.error || new Error('IndexedDB transaction failed'));
+        });
+        // records are { value, version }; plain strings were written before versions existed
+        const unpack = (rec) => (rec == null ? null : typeof rec === 'string' ? { value: rec, version: 0 } : rec);
+        return {
+            name: 'IndexedDB',
+            async entries() {
+                const { keys, values } = await run('readonly', st => ({ keys: st.getAllKeys(), values: st.getAll() }));
+                return keys.result.map((key, i) => { const rec = unpack(values.result[i]); return [key, rec.value, rec.version]; });
+            },
+            async read(key) { return unpack((await run('readonly', st => st.get(key))).result); },
+            // read-and-put in one transaction: a write never replaces a newer version another tab already stored
+            async write(key, value, version = 0) {
+                await run('readwrite', st => {
+                    const req = st.get(key);
+                    req.onsuccess = () => {
+                        const cur = unpack(req.result);
+                        if (!cur || cur.version <= version) st.put({ value, version }, key);
+                    };
+                });
+            },
+            async remove(key) { await run('readwrite', st => { st.delete(key); }); }
+        };
+    }
+
+    // One file per key ("<encoded key>.json" holding { key, version, value }); the savedata.json sync baselines stay per browser
+    function folderBackend(dir) {
+        const folder = () => dir.getDirectoryHandle(FOLDER_DATA_DIR, { create: true });
+        const fileName = (key) => `${encodeURIComponent(key)}.json`;
+        const stored = (key) => isDataKey(key) && !key.endsWith(':sync');
+        const parse = async (handle) => {
             try {
-                const fh = await nativeDirHandle.getFileHandle(NATIVE_FILENAME, { create: true });
-                // if it wasn't present, create empty baseline using localStorage data
-                const raw = localStorage.getItem(STORAGE_KEY);
-                const baseline = raw ? JSON.parse(raw) : DEFAULTS;
+                const rec = JSON.parse(await (await handle.getFile()).text());
+                return rec && typeof rec.key === 'string' && typeof rec.value === 'string' ? rec : null;
+            } catch { return null; } // half-written or foreign file
+        };
+        return {
+            name: 'folder',
+            async entries() {
+                const out = [];
+                for await (const handle of (await folder()).values()) {
+                    const rec = handle.kind === 'file' && handle.name.endsWith('.json') ? await parse(handle) : null;
+                    if (rec && stored(rec.key)) out.push([rec.key, rec.value, Number(rec.version) || 0]);
+                }
+                return out;
+            },
+            async read(key) {
+                try {
+                    const rec = await parse(await (await folder()).getFileHandle(fileName(key)));
+                    return rec && { value: rec.value, version: Number(rec.version) || 0 };
+                } catch (err) {
+                    if (err && err.name === 'NotFoundError') return null;
+                    throw err;
+                }
+            },
+            async write(key, value, version = 0) {
+                if (!stored(key)) return;
+                const fh = await (await folder()).getFileHandle(fileName(key), { create: true });
                 const writable = await fh.createWritable();
-                await writable.write(JSON.stringify(baseline, null, 2));
+                await writable.write(JSON.stringify({ key, version, value }));
                 await writable.close();
-                toast('Connected folder & created ' + NATIVE_FILENAME);
-                log('Native file created/ensured.');
-            } catch (err) {
-                console.warn('Failed to ensure native file', err);
-            }
-            // try to load file into UI immediately
-            await loadFromNativeFileIfExists();
-            renderAll();
-        } catch (err) {
-            if (err && err.name === 'AbortError') {
-                toast('Folder selection cancelled');
-            } else {
-                console.error('promptConnectFolder error', err);
-                alert('Could not access folder: ' + (err && err.message ? err.message : String(err)));
+            },
+            async remove(key) {
+                await (await folder()).removeEntry(fileName(key)).catch(err => { if (!err || err.name !== 'NotFoundError') throw err; });
             }
-        }
+        };
     }
 
-    /* -------------------------
-       UI references & init
-       ------------------------- */
-    const dynamicContainer = document.getElementById('dynamic-sections');
-    const initBtn = document.getElementById('init-section-btn');
-    const exportBtn = document.getElementById('export-json');
-    const importBtn = document.getElementById('import-json-btn');
-    const quickAddBtn = document.getElementById('quick-add-btn');
-    const searchInput = document.getElementById('global-search');
-    const filterSelect = document.getElementById('filter-select');
-    const lastSavedEl = document.getElementById('last-saved');
-    const sectionTemplate = document.getElementById('section-template');
-    const taskTemplate = document.getElementById('task-template');
+    function isQuotaError(err) {
+        return !!err && (err.name === 'QuotaExceededError' || err.name === 'NS_ERROR_DOM_QUOTA_REACHED' || err.code === 22);
+    }
 
-    // inject Connect Folder button into header controls (no change to your HTML required)
-    //(function injectFolderButton() {
-    //    try {
-    //        const controls = document.querySelector('.topbar .controls');
-    //        if (!controls) return;
-    //        const btn = document.createElement('button');
-    //        btn.id = 'connect-folder-btn';
-    //        btn.className = 'pill';
-    //        btn.textContent = '🔗 Connect Folder';
-    //        btn.title = 'Connect a local folder to sync savedata.example.json (optional)';
-    //        btn.addEventListener('click', promptConnectFolder);
-    //        controls.insertBefore(btn, controls.firstChild);
-    //    } catch (e) { /* ignore */ }
-    //})();
-
-    // tiny toast
-    let toastTimer = null;
-    function toast(msg, ms = 2200) {
-        clearTimeout(toastTimer);
-        let t = document.getElementById('__todo_toast');
-        if (!t) {
-            t = document.createElement('div'); t.id = '__todo_toast';
-            t.style.position = 'fixed'; t.style.right = '18px'; t.style.bottom = '18px';
-            t.style.padding = '10px 14px'; t.style.borderRadius = '10px';
-            t.style.background = 'linear-gradient(90deg,var(--accent-1),var(--accent-2))';
-            t.style.color = 'white'; t.style.boxShadow = '0 6px 24px rgba(2,6,23,0.5)';
-            document.body.appendChild(t);
+    // A save that didn't reach the disk must never pass silently
+    function reportStorageError(err) {
+        console.error('Save error', err);
+        const msg = isQuotaError(err)
+            ? `Storage is full — your latest changes are NOT saved (${storage.backendName}). Export a backup, then delete old boards, backups or the activity log to free space.`
+            : `Could not save your changes: ${err && err.message ? err.message : String(err)}`;
+        toast(`❌ ${msg}`, 8000);
+        const el = document.getElementById('storage-status');
+        if (el) {
+            el.textContent = isQuotaError(err) ? '❌ Storage full — not saved' : '❌ Not saved';
+            el.title = msg;
+            el.dataset.state = 'error';
+            el.classList.remove('hidden');
         }
-        t.textContent = msg; t.style.opacity = '1';
-        toastTimer = setTimeout(() => { t.style.opacity = '0'; }, ms);
     }
 
-    /* -------------------------
-       Rendering
-       ------------------------- */
-    function clearUi() { dynamicContainer.innerHTML = ''; }
-
-    async function renderAll() {
-        clearUi();
-        const sections = await loadData(); // ensure up-to-date source
-        const query = (searchInput && searchInput.value || '').trim().toLowerCase();
-        const filter = (filterSelect && filterSelect.value) || '';
-        sections.forEach(s => renderSection(s, { query, filter }));
-        initDragAndDrop();
-        updateGlobalProgress(true); // compute from storage
+    // First good write after a failure: drop the error badge (persist status repaints it when supported)
+    function clearStorageError() {
+        const el = document.getElementById('storage-status');
+        if (el && el.dataset.state === 'error') {
+            el.textContent = '';
+            el.removeAttribute('data-state');
+            el.classList.add('hidden');
+        }
+        requestPersistentStorage();
     }
 
-    function renderSection(section, { query = '', filter = '' } = {}) {
-        // --- Filter logic ---
-        if (filter) {
-            const fLower = filter.toLowerCase();
-            const tagMatch = (section.tag || '').toLowerCase() === fLower;
-            const titleMatch = (section.title || '').toLowerCase().includes(fLower);
-            if (!tagMatch && !titleMatch) return;
+    const storage = (function () {
+        const cache = new Map(); // key → raw string
+        const versions = new Map(); // key → version of the cached value
+        const listeners = [];
+        let backend = localStorageBackend;
+        let extra = null; // { backend, onError } — the folder, once attached
+        let extraQueue = Promise.resolve(); // its writes land in order
+        let failing = false;
+
+        const versionOf = (key) => versions.get(key) || 0;
+        const nextVersion = (key) => Math.max(Date.now(), versionOf(key) + 1);
+
+        // tell the other tabs which key changed; they fetch the value themselves
+        const channel = 'BroadcastChannel' in window ? new BroadcastChannel(STORAGE_CHANNEL) : null;
+        function publish(key, version) {
+            if (channel) channel.postMessage({ key, version });
         }
-
-        if (query) {
-            const inTitle = (section.title || '').toLowerCase().includes(query);
-            const inTasks = (section.tasks || []).some(
-                t => (t.text || '').toLowerCase().includes(query) ||
-                    (t.desc || '').toLowerCase().includes(query)
-            );
-            const inTags = (section.tag || '').toLowerCase().includes(query);
-            if (!inTitle && !inTasks && !inTags) return;
+        async function refresh(key, version) {
+            if (version <= versionOf(key)) return;
+            let rec;
+            try { rec = await backend.read(key); } catch (err) { log('re-read failed', key, err); return; }
+            // unversioned backends (localStorage) hold the newest value — it's the one announced
+            const stamp = rec && rec.version ? rec.version : version;
+            if (stamp <= versionOf(key)) return; // we saved something newer while reading
+            if (rec) cache.set(key, rec.value); else cache.delete(key);
+            versions.set(key, stamp);
+            listeners.forEach(fn => fn(key));
         }
+        if (channel) channel.onmessage = (e) => { if (e.data && typeof e.data.key === 'string') refresh(e.data.key, Number(e.data.version) || 0); };
+        // no BroadcastChannel: the localStorage backend still gets the browser's own cross-tab event
+        else window.addEventListener('storage', (e) => {
+            if (backend === localStorageBackend && e.key && isDataKey(e.key)) refresh(e.key, nextVersion(e.key));
+        });
 
-        // --- Create section node ---
-        const node = sectionTemplate.content.cloneNode(true);
-        const sec = node.querySelector('section');
-        sec.dataset.id = section.id;
-        sec.style.borderLeft = `6px solid ${section.color || '#888'}`;
+        // a failing folder never fails the save — the browser copy has it
+        function toExtra(fn) {
+            if (!extra) return;
+            const { backend: target, onError } = extra;
+            extraQueue = extraQueue.then(() => fn(target)).catch(onError);
+        }
 
-        // ✅ Collapse/expand project by clicking its title
-        const headerLeft = sec.querySelector('.section-header .left');
-        if (headerLeft) {
-            headerLeft.addEventListener('click', (ev) => {
-                if (ev.target.closest('.section-controls')) return;
-                const body = sec.querySelector('.section-body');
-                if (body) body.classList.toggle('hidden');
+        // memory first, then the backend; the other tabs hear about it once it has landed
+        function write(key, value) {
+            const version = nextVersion(key);
+            cache.set(key, value);
+            versions.set(key, version);
+            toExtra(target => target.write(key, value, version));
+            return backend.write(key, value, version).then(() => {
+                publish(key, version);
+                if (failing) { failing = false; clearStorageError(); }
             });
         }
 
-        // header
-        sec.querySelector('.title').textContent = section.title || 'Untitled';
-        sec.querySelector('.tag').textContent = section.tag ? `#${section.tag}` : '';
-        sec.querySelector('.due').textContent = section.due ? `• due ${formatDateHuman(section.due)}` : '';
-
-        /* =============================
-           ✅ Safe Project Progress Handling
-           ============================= */
-        const progressBar = sec.querySelector('.progress');
-        if (progressBar) {
-            const progressContainer = progressBar.closest('.progress-bar');
+        function load(entries) {
+            entries.forEach(([key, value, version]) => { cache.set(key, value); versions.set(key, version || 0); });
+        }
 
-            // ensure label exists
-            let progressLabel = sec.querySelector('.progress-label');
-            if (!progressLabel && progressContainer) {
-                progressLabel = document.createElement('div');
-                progressLabel.className = 'progress-label';
-                progressContainer.after(progressLabel);
+        // Copy localStorage boards into the new backend once, then free the old space
+        async function migrateFromLocalStorage() {
+            if (backend === localStorageBackend) return;
+            const old = await localStorageBackend.entries();
+            if (!old.length) return;
+            if (Array.from(cache.keys()).some(k => k === BOARDS_KEY || k === STORAGE_KEY)) {
+                log('Both localStorage and', backend.name, 'hold boards — keeping', backend.name);
+                return;
             }
-
-            // compute progress
-            const total = (section.tasks || []).length;
-            const done = (section.tasks || []).filter(t => t.done).length;
-            const pct = total ? Math.round((done / total) * 100) : 0;
-
-            // apply visuals
-            progressBar.style.width = `${pct}%`;
-            if (progressLabel) progressLabel.textContent = `${pct}% done`;
+            for (const [key, value] of old) {
+                await backend.write(key, value, 0);
+                cache.set(key, value);
+            }
+            old.forEach(([key]) => localStorage.removeItem(key));
+            log(`Moved ${old.length} keys from localStorage to ${backend.name}`);
         }
 
-        /* ============================= */
+        return {
+            async open() {
+                const db = await openDataDb();
+                backend = db ? indexedDbBackend(db) : localStorageBackend;
+                try {
+                    load(await backend.entries());
+                    await migrateFromLocalStorage();
+                } catch (err) {
+                    // IndexedDB opened but can't be used — fall back rather than start empty
+                    console.warn('Storage backend failed, falling back to localStorage:', err);
+                    backend = localStorageBackend;
+                    cache.clear();
+                    versions.clear();
+                    load(await backend.entries());
+                }
+            },
+            get backendName() { return backend.name; },
+            get(key) { return cache.has(key) ? cache.get(key) : null; },
+            // resolves true when the value reached the backend; errors are reported, not thrown
+            set(key, value) {
+                return write(key, value).then(() => true, (err) => { failing = true; reportStorageError(err); return false; });
+            },
+            // like set() but rejects quietly — for history, which shrinks and retries
+            trySet(key, value) {
+                return write(key, value);
+            },
+            remove(key) {
+                const version = nextVersion(key);
+                cache.delete(key);
+                versions.set(key, version);
+                toExtra(target => target.remove(key));
+                return backend.remove(key).then(() => publish(key, version), err => log('remove failed', key, err));
+            },
+            // Attach a second backend (folderBackend, after the user granted access) or detach it with null.
+            // Each key is reconciled by version: newer there → taken here (and into the browser copy), newer here
+            // or missing there → written there. Taken keys are reported to onChange() like another tab's save.
+            async attach(next, onError = (err) => log('attached backend failed', err)) {
+                extra = null;
+                if (!next) return;
+                const theirs = new Map((await next.entries()).map(([key, value, version]) => [key, { value, version }]));
+                const taken = [];
+                for (const [key, { value, version }] of theirs) {
+                    if (version <= versionOf(key)) continue;
+                    cache.set(key, value);
+                    versions.set(key, version);
+                    await backend.write(key, value, version);
+                    publish(key, version);
+                    taken.push(key);
+                }
+                for (const [key, value] of cache) {
+                    const there = theirs.get(key);
+                    if (!there || there.version < versionOf(key)) await next.write(key, value, versionOf(key));
+                }
+                extra = { backend: next, onError };
+                taken.forEach(key => listeners.forEach(fn => fn(key)));
+            },
+            // fn(key) runs after another tab changed key (the cache already holds the new value)
+            onChange(fn) { listeners.push(fn); }
+        };
+    })();
 
-        function updateGlobalProgress() {
-            const data = JSON.parse(localStorage.getItem(STORAGE_KEY) || '[]');
-            const allTasks = data.flatMap(s => s.tasks || []);
-            const total = allTasks.length;
-            const done = allTasks.filter(t => t.done).length;
-            const pct = total ? Math.round((done / total) * 100) : 0;
+    // A task / description / mini modal is up — repainting now would pull the board out from under it
+    function dialogOpen() {
+        return !!document.querySelector('.modal:not(.hidden)') || [...document.querySelectorAll('.mm-overlay')].some(o => o.style.display !== 'none');
+    }
 
-            const globalBar = document.getElementById('global-progress-bar');
-            if (globalBar) globalBar.style.width = `${pct}%`;
+    // Another tab / window saved: show its changes here, so our next save builds on them instead of reverting them
+    // (the data is current at once; only the repaint waits for open dialogs to close)
+    let externalRenderTimer = null;
+    function onExternalChange(key) {
+        if (key === BOARDS_KEY) {
+            const active = boardsIndex.active;
+            boardsIndex = readBoardsIndex();
+            if (!boardsIndex.boards.some(b => b.id === active)) { switchBoard(boardsIndex.active); return; } // ours was deleted there
+            boardsIndex.active = active; // each window keeps its own board open
+            renderBoardSwitcher();
+        } else if (key === historyKey()) {
+            undoHistory = readHistory();
+        } else if (key === storageKey) {
+            // one save sends several keys — repaint once
+            clearTimeout(externalRenderTimer);
+            const repaint = async () => {
+                if (dialogOpen()) { externalRenderTimer = setTimeout(repaint, 500); return; }
+                await renderAll();
+                rebuildFilterOptions();
+                restoreLastSaved();
+            };
+            externalRenderTimer = setTimeout(repaint, 50);
         }
+    }
 
+    /* -------------------------
+       Boards index — { active, boards: [{ id, title }] }
+       ------------------------- */
+    // filled in by init() once storage.open() has loaded the boards
+    let boardsIndex = { active: MAIN_BOARD_ID, boards: [] };
+    let storageKey = STORAGE_KEY;
 
-        const ul = sec.querySelector('.tasks');
-        (section.tasks || []).forEach((t, idx) => {
-            const tnode = taskTemplate ? taskTemplate.content.cloneNode(true) : null;
-            const li = tnode ? tnode.querySelector('li') : document.createElement('li');
-
-            li.dataset.idx = idx;
+    function boardKey(id) {
+        return id === MAIN_BOARD_ID ? STORAGE_KEY : `${STORAGE_KEY}@${id}`;
+    }
 
-            // main row
-            const taskMain = li.querySelector('.task-main') || document.createElement('div');
-            taskMain.className = 'task-main';
+    function readBoardsIndex() {
+        try {
+            const idx = JSON.parse(storage.get(BOARDS_KEY) || 'null');
+            if (idx && Array.isArray(idx.boards) && idx.boards.length) {
+                const boards = idx.boards.filter(b => b && typeof b.id === 'string' && b.id);
+                if (boards.length) return { active: boards.some(b => b.id === idx.active) ? idx.active : boards[0].id, boards };
+            }
+        } catch { }
+        // first run / pre-boards data: the existing store becomes the main board
+        let title = DEFAULT_BOARD.title;
+        try { title = JSON.parse(storage.get(STORAGE_KEY)).board.title || title; } catch { }
+        return { active: MAIN_BOARD_ID, boards: [{ id: MAIN_BOARD_ID, title }] };
+    }
 
-            // left
-            const left = taskMain.querySelector('.task-left') || document.createElement('div');
-            left.className = 'task-left';
+    function persistBoardsIndex() {
+        storage.set(BOARDS_KEY, JSON.stringify(boardsIndex));
+    }
 
-            // checkbox
-            let cb = left.querySelector('input[type="checkbox"]');
-            if (!cb) {
-                cb = document.createElement('input'); cb.type = 'checkbox';
-                left.insertBefore(cb, left.firstChild);
-            }
-            cb.checked = !!t.done;
-            cb.dataset.idx = idx;
-
-            // label
-            let label = left.querySelector('label');
-            if (!label) { label = document.createElement('label'); left.appendChild(label); }
-            label.textContent = t.text || '';
-            label.title = 'Double-click to edit';
-
-
-            // actions
-            const actions = taskMain.querySelector('.task-actions') || document.createElement('div');
-            actions.className = 'task-actions';
-
-            let editBtn = actions.querySelector('.edit-task');
-            if (!editBtn) {
-                editBtn = document.createElement('button');
-                editBtn.className = 'small edit-task';
-                editBtn.type = 'button';
-                editBtn.textContent = '✎';
-                actions.appendChild(editBtn);
-            }
+    function activeBoardEntry() {
+        return boardsIndex.boards.find(b => b.id === boardsIndex.active);
+    }
 
-            let editDescBtn = actions.querySelector('.edit-desc');
-            if (!editDescBtn) {
-                editDescBtn = document.createElement('button');
-                editDescBtn.className = 'small edit-desc';
-                editDescBtn.type = 'button';
-                editDescBtn.title = 'Edit description';
-                editDescBtn.textContent = '📝';
-                actions.appendChild(editDescBtn);
-            }
+    /* -------------------------
+       Storage — the storage adapter (IndexedDB / localStorage) is primary, optional native file sync
+       ------------------------- */
 
-            let delBtn = actions.querySelector('.delete-task');
-            if (!delBtn) {
-                delBtn = document.createElement('button');
-                delBtn.className = 'small delete-task danger';
-                delBtn.type = 'button';
-                delBtn.textContent = '🗑';
-                actions.appendChild(delBtn);
-            }
+    // Stamp tasks the save creates (`created`) or checks off (`doneAt`); reopening clears `doneAt`.
+    // Undo / redo restore the stamps their snapshot had, so a completion is counted once however often it's replayed.
+    function stampTaskTimes(sections, prevRaw) {
+        const before = new Map();
+        try { JSON.parse(prevRaw).sections.forEach(s => s.tasks.forEach(t => before.set(t.id, t))); } catch { return; } // first save / unreadable: nothing to compare
+        const at = nowISO();
+        sections.forEach(s => (s.tasks || []).forEach(t => {
+            const old = before.get(t.id);
+            if (!old && !t.created) t.created = at;
+            if (!t.done) delete t.doneAt;
+            else if (old && !old.done && !t.doneAt) t.doneAt = at;
+        }));
+    }
 
-            // description element
-            let descBox = li.querySelector('.description');
-            if (!descBox) {
-                descBox = document.createElement('div');
-                descBox.className = 'description';
-                li.appendChild(descBox);
+    // Save store through the storage adapter (always) and, if nativeDirHandle available and permitted, also to file
+    async function saveData(arr, opts = {}) {
+        try {
+            if (!Array.isArray(arr)) throw new Error('invalid payload (saveData)');
+            const prev = storage.get(storageKey);
+            stampTaskTimes(arr, prev);
+            // record previous state for undo (unless told to skip)
+            const next = JSON.stringify(buildStore(arr));
+            if (!opts.skipSnapshot) {
+                pushHistory(opts.label || 'edit', prev, next);
             }
-            descBox.style.whiteSpace = 'pre-wrap';
-            if (t.desc && String(t.desc).trim()) {
-                descBox.textContent = t.desc;
-                descBox.classList.remove('placeholder');
-            } else {
-                descBox.textContent = 'Add description...';
-                descBox.classList.add('placeholder');
+            // normalize and persist locally (memory first, so reads see it right away)
+            const saved = storage.set(storageKey, next);
+            // 📜 audit trail (load-time upgrades skip it; undo / redo opt back in)
+            if (!opts.skipSnapshot || opts.logActivity) recordActivity(prev, next, opts.label || 'edit');
+            storage.set(`${storageKey}:meta`, JSON.stringify({ ...STORAGE_META, updatedAt: nowISO() }));
+            const entry = activeBoardEntry();
+            if (entry && entry.title !== boardMeta.title) {
+                entry.title = boardMeta.title;
+                persistBoardsIndex();
+                renderBoardSwitcher();
             }
+            updateGlobalProgress(true); // calculate from stored data (reliable)
+            rebuildFilterOptions();
+            if (await saved) updateLastSaved(nowISO());
 
-            if (cb.checked) li.classList.add('checked');
-
-            // attach
-            if (!taskMain.contains(left)) taskMain.appendChild(left);
-            if (!taskMain.contains(actions)) taskMain.appendChild(actions);
-            if (!Array.from(li.children).includes(taskMain)) li.insertBefore(taskMain, li.firstChild);
+            // attempt native file write if available
+            if (!opts.skipNative) {
+                try {
+                    await pushToNativeFile();
+                } catch (err) {
+                    console.warn('Native write failed:', err);
+                    setSyncState('error', err && err.message);
+                }
+            }
+        } catch (err) {
+            reportStorageError(err);
+        }
+    }
 
-            // set shared dataset info
-            [cb, label, editBtn, editDescBtn, delBtn].forEach(el => {
-                if (!el) return;
-                el.dataset.secId = section.id;
-                el.dataset.idx = String(idx);
-            });
 
-            /* ===============================
-               ✅ Checkbox change handler
-               Updates both local + global progress instantly
-               =============================== */
-            cb.addEventListener('change', async (ev) => {
-                const secId = ev.currentTarget.dataset.secId;
-                const i = Number(ev.currentTarget.dataset.idx);
-                const data = await loadData();
-                const sObj = data.find(x => x.id === secId);
-                if (!sObj) return;
 
-                // ✅ Update this task’s state
-                sObj.tasks[i].done = cb.checked;
-                await saveData(data);
+    /* -------------------------
+       Undo / Redo history
+       - every mutation goes through saveData(), which pushes the previous raw state
+       - entries: { label, data (raw JSON string), at }
+       ------------------------- */
+    let undoHistory = { undo: [], redo: [] }; // loaded by init()
 
-                // ✅ Update this project’s progress bar + label immediately
-                const sectionNode = document.querySelector(`section[data-id="${secId}"]`);
-                if (sectionNode) {
-                    const progressBar = sectionNode.querySelector('.progress');
-                    const progressLabel = sectionNode.querySelector('.progress-label');
+    // id: the board whose history it is (another board's only when a running timer stops there)
+    function historyKey(id = boardsIndex.active) { return `${boardKey(id)}:history`; }
 
-                    const total = sObj.tasks.length;
-                    const done = sObj.tasks.filter(t => t.done).length;
-                    const pct = total ? Math.round((done / total) * 100) : 0;
+    function readHistory(id = boardsIndex.active) {
+        try {
+            const h = JSON.parse(storage.get(historyKey(id)) || 'null');
+            if (h && Array.isArray(h.undo) && Array.isArray(h.redo)) return h;
+        } catch { }
+        return { undo: [], redo: [] };
+    }
 
-                    if (progressBar) progressBar.style.width = `${pct}%`;
-                    if (progressLabel) progressLabel.textContent = `${pct}% done`;
+    async function persistHistory(hist = undoHistory, id = boardsIndex.active) {
+        hist.undo = hist.undo.slice(-HISTORY_LIMIT);
+        hist.redo = hist.redo.slice(-HISTORY_LIMIT);
+        // shrink until it fits — history must never block a real save
+        const key = historyKey(id);
+        while (true) {
+            try {
+                await storage.trySet(key, JSON.stringify(hist));
+                return;
+            } catch (err) {
+                if (!hist.undo.length && !hist.redo.length) { log('History not persisted:', err); storage.remove(key); return; }
+                if (hist.redo.length > hist.undo.length) hist.redo.shift(); else hist.undo.shift();
+            }
+        }
+    }
+
+    function pushHistory(label, prevRaw, nextRaw, id = boardsIndex.active) {
+        if (!prevRaw || prevRaw === nextRaw) return;
+        const hist = id === boardsIndex.active ? undoHistory : readHistory(id);
+        hist.undo.push({ label, data: prevRaw, at: nowISO() });
+        hist.redo = [];
+        persistHistory(hist, id);
+    }
+
+    async function undo() {
+        const entry = undoHistory.undo.pop();
+        if (!entry) { toast('Nothing to undo'); return; }
+        undoHistory.redo.push({ label: entry.label, data: storage.get(storageKey), at: nowISO() });
+        persistHistory();
+        const store = parseStore(entry.data);
+        boardMeta = store.board; // title, links and panels are part of the snapshot too
+        await saveData(store.sections, { skipSnapshot: true, logActivity: true, label: `undo ${entry.label}` });
+        renderAll();
+        toast(`Undid: ${entry.label}`);
+    }
+
+    async function redo() {
+        const entry = undoHistory.redo.pop();
+        if (!entry) { toast('Nothing to redo'); return; }
+        undoHistory.undo.push({ label: entry.label, data: storage.get(storageKey), at: nowISO() });
+        persistHistory();
+        const store = parseStore(entry.data);
+        boardMeta = store.board; // title, links and panels are part of the snapshot too
+        await saveData(store.sections, { skipSnapshot: true, logActivity: true, label: `redo ${entry.label}` });
+        renderAll();
+        toast(`Redid: ${entry.label}`);
+    }
+
+    // short, quoted name for history labels / toasts
+    function quote(text, max = 40) {
+        const s = String(text || '').trim();
+        return `'${s.length > max ? s.slice(0, max - 1) + '…' : s}'`;
+    }
+
+    /* -------------------------
+       Activity log — an audit trail derived from every saveData()
+       - each save diffs the previous store against the new one, so every mutation path is covered
+       - events: { id, at, kind, label, section: {id, title}, task: {id, text} | null, before, after }
+       - created / completed times for tasks are read back out of this log
+       - kept in the IndexedDB helper store (like backups), not with the board, so it never eats into the board's
+         quota; capped by size (oldest dropped first) and long descriptions are clipped in before / after
+       - readActivity() is synchronous from a per-board memory copy; loadActivity() refreshes it
+       ------------------------- */
+    const ACTIVITY_KINDS = {
+        'task.add': '➕ Task added',
+        'task.delete': '🗑 Task deleted',
+        'task.complete': '✅ Completed',
+        'task.reopen': '↩️ Reopened',
+        'task.edit': '✏️ Edited',
+        'task.move': '🔀 Moved',
+        'task.time': '⏱ Time logged',
+        'section.add': '🧱 Section added',
+        'section.delete': '🗑 Section deleted',
+        'section.edit': '🧱 Section edited',
+        'section.reorder': '↕️ Sections reordered',
+        'board.edit': '🗂️ Board edited'
+    };
+    const ACTIVITY_TASK_FIELDS = ['text', 'desc', 'status', 'priority', 'due', 'assignee', 'tags', 'recur', 'subtasks'];
+
+    function activityKey(id = boardsIndex.active) { return `activity:${boardKey(id)}`; }
+
+    const activityCache = new Map(); // boardId → events, oldest first
+    let activityQueue = Promise.resolve(); // appends run one at a time so none get lost
+
+    function readActivity(id = boardsIndex.active) {
+        return activityCache.get(id) || [];
+    }
+
+    // Fresh copy from IndexedDB (another tab may have appended); picks up a log that still sits with the board data
+    async function loadActivity(id = boardsIndex.active) {
+        let list = await idbGet(activityKey(id));
+        const legacyKey = `${boardKey(id)}:activity`;
+        if (!Array.isArray(list) && storage.get(legacyKey)) {
+            try { list = JSON.parse(storage.get(legacyKey)); } catch { list = null; }
+            if (Array.isArray(list)) {
+                await persistActivity(list, id);
+                storage.remove(legacyKey);
+                return readActivity(id);
+            }
+        }
+        if (Array.isArray(list)) activityCache.set(id, list);
+        return readActivity(id);
+    }
+
+    // newest events that fit in ACTIVITY_MAX_BYTES
+    async function persistActivity(list, id = boardsIndex.active) {
+        let size = 0;
+        let start = list.length;
+        while (start > 0 && size + JSON.stringify(list[start - 1]).length + 1 <= ACTIVITY_MAX_BYTES) size += JSON.stringify(list[--start]).length + 1;
+        const keep = list.slice(start);
+        activityCache.set(id, keep);
+        if (!await idbPut(activityKey(id), keep)) log('Activity log kept in memory only (IndexedDB unavailable)');
+    }
+
+    function clipText(s, max) {
+        const text = String(s || '');
+        return text.length > max ? `${text.slice(0, max - 1)}…` : text;
+    }
+
+    // what a field looks like in the log (subtasks as "done/total", descriptions clipped)
+    function activityValue(t, field) {
+        if (field === 'subtasks') return `${t.subtasks.filter(x => x.done).length}/${t.subtasks.length}`;
+        if (field === 'recur') return t.recur ? describeRecur(t.recur) : '';
+        if (field === 'desc') return clipText(t.desc, ACTIVITY_DESC_CHARS);
+        return t[field];
+    }
+
+    // If exactly one task jumped within the list, it's the one whose removal leaves both orders equal
+    function movedWithin(beforeIds, afterIds) {
+        const common = afterIds.filter(id => beforeIds.includes(id));
+        const prev = beforeIds.filter(id => afterIds.includes(id));
+        if (common.join() === prev.join()) return null;
+        return common.find(id => common.filter(x => x !== id).join() === prev.filter(x => x !== id).join()) || '';
+    }
+
+    function diffActivity(before, after) {
+        const events = [];
+        const ref = (s) => ({ id: s.id, title: s.title });
+        const tref = (t) => ({ id: t.id, text: t.text });
+        const push = (kind, section, task, b = null, a = null) => events.push({ kind, section: section ? ref(section) : null, task: task ? tref(task) : null, before: b, after: a });
+        const index = (store) => {
+            const tasks = new Map();
+            store.sections.forEach(s => s.tasks.forEach((t, i) => tasks.set(t.id, { t, s, i })));
+            return tasks;
+        };
+        const prevTasks = index(before);
+        const nextTasks = index(after);
+        const prevSections = new Map(before.sections.map(s => [s.id, s]));
+        const nextSections = new Map(after.sections.map(s => [s.id, s]));
+
+        if (before.board.title !== after.board.title) push('board.edit', null, null, { title: before.board.title }, { title: after.board.title });
+        else if (JSON.stringify(before.board) !== JSON.stringify(after.board)) push('board.edit', null, null, null, { note: 'links, panels or filters' });
+
+        after.sections.forEach(s => {
+            const old = prevSections.get(s.id);
+            if (!old) { push('section.add', s, null, null, { tasks: s.tasks.length }); return; }
+            const fields = ['title', 'tag', 'color', 'due'].filter(f => (old[f] || '') !== (s[f] || ''));
+            if (fields.length) push('section.edit', s, null, Object.fromEntries(fields.map(f => [f, old[f] || ''])), Object.fromEntries(fields.map(f => [f, s[f] || ''])));
+        });
+        before.sections.forEach(s => { if (!nextSections.has(s.id)) push('section.delete', s, null, { tasks: s.tasks.length }, null); });
+        const order = (list) => list.filter(s => prevSections.has(s.id) && nextSections.has(s.id)).map(s => s.id).join();
+        if (order(before.sections) !== order(after.sections)) push('section.reorder', null, null);
+
+        nextTasks.forEach(({ t, s, i }, id) => {
+            const old = prevTasks.get(id);
+            if (!old) { push('task.add', s, t, null, { position: i + 1 }); return; }
+            if (old.s.id !== s.id) push('task.move', s, t, { section: old.s.title, sectionId: old.s.id, position: old.i + 1 }, { section: s.title, position: i + 1, done: t.done });
+            // recurring tasks stay open when done, but gain a completion
+            if (old.t.done !== t.done || (t.completions || []).length > (old.t.completions || []).length) {
+                push(t.done || !old.t.done ? 'task.complete' : 'task.reopen', s, t, { done: old.t.done }, { done: t.done, due: t.due || undefined });
+            }
+            // desc is compared in full — the logged value is clipped
+            const changed = (f) => f === 'desc' ? (old.t.desc || '') !== (t.desc || '') : JSON.stringify(activityValue(old.t, f)) !== JSON.stringify(activityValue(t, f));
+            const fields = ACTIVITY_TASK_FIELDS.filter(f => changed(f) && !(f === 'status' && old.t.done !== t.done));
+            if (fields.length) push('task.edit', s, t, Object.fromEntries(fields.map(f => [f, activityValue(old.t, f)])), Object.fromEntries(fields.map(f => [f, activityValue(t, f)])));
+            const spent = taskTimeMs(t) - taskTimeMs(old.t);
+            if (spent) push('task.time', s, t, null, { minutes: Math.round(spent / 60000) });
+        });
+        prevTasks.forEach(({ t, s, i }, id) => {
+            // tasks of a deleted section are covered by its section.delete
+            if (!nextTasks.has(id) && nextSections.has(s.id)) push('task.delete', s, t, { position: i + 1, done: t.done }, null);
+        });
+        after.sections.forEach(s => {
+            const old = prevSections.get(s.id);
+            if (!old) return;
+            const moved = movedWithin(old.tasks.map(t => t.id), s.tasks.map(t => t.id));
+            if (moved === null) return;
+            const t = moved && s.tasks.find(x => x.id === moved);
+            push('task.move', s, t || null, t ? { position: old.tasks.findIndex(x => x.id === moved) + 1 } : null, t ? { position: s.tasks.indexOf(t) + 1 } : { note: 'tasks reordered' });
+        });
+        return events;
+    }
+
+    function recordActivity(prevRaw, nextRaw, label, id = boardsIndex.active) {
+        try {
+            if (!prevRaw || prevRaw === nextRaw) return;
+            const events = diffActivity(parseStore(prevRaw), parseStore(nextRaw));
+            if (!events.length) return;
+            const at = nowISO();
+            const entries = events.map(e => ({ id: uid('evt'), at, label, ...e }));
+            activityQueue = activityQueue
+                .then(() => loadActivity(id))
+                .then(list => persistActivity(list.concat(entries), id))
+                .catch(err => console.warn('Activity log skipped:', err));
+        } catch (err) {
+            console.warn('Activity log skipped:', err);
+        }
+    }
+
+    // taskId → { created, completed } from the log (completed clears on a later reopen); only a fallback for
+    // tasks saved before they carried `created` / `doneAt`. Undo / redo replays are skipped — they'd re-date the task.
+    function taskTimestamps(log = readActivity()) {
+        const map = new Map();
+        log.forEach(e => {
+            if (!e.task || /^(undo|redo) /.test(e.label || '')) return;
+            const entry = map.get(e.task.id) || { created: '', completed: '' };
+            if (e.kind === 'task.add' && !entry.created) entry.created = e.at;
+            if (e.kind === 'task.complete') entry.completed = e.at;
+            if (e.kind === 'task.reopen') entry.completed = '';
+            map.set(e.task.id, entry);
+        });
+        return map;
+    }
+
+    // the task's own stamps win over the log
+    function taskTimes(t, fromLog = taskTimestamps()) {
+        const ts = fromLog.get(t.id) || { created: '', completed: '' };
+        return { created: t.created || ts.created, completed: t.done ? t.doneAt || ts.completed : '' };
+    }
+
+    function describeTaskHistory(taskId) {
+        const task = readSections().flatMap(s => s.tasks).find(t => t.id === taskId);
+        const ts = task ? taskTimes(task) : taskTimestamps().get(taskId);
+        if (!ts || !(ts.created || ts.completed)) return '';
+        return [ts.created && `Created ${new Date(ts.created).toLocaleString()}`, ts.completed && `completed ${new Date(ts.completed).toLocaleString()}`].filter(Boolean).join(' • ');
+    }
+
+    function describeChange(e) {
+        const show = (v) => (Array.isArray(v) ? v.join(', ') : v === '' || v == null ? '—' : String(v));
+        const pairs = (b, a) => Object.keys({ ...(b || {}), ...(a || {}) })
+            .filter(k => k !== 'note' && k !== 'sectionId')
+            .map(k => (b && a && k in b && k in a ? `${k}: ${show(b[k])} → ${show(a[k])}` : `${k}: ${show((a && k in a ? a : b)[k])}`));
+        switch (e.kind) {
+            case 'task.move': return e.before && e.before.section ? `${e.before.section} → ${e.after.section}, position ${e.after.position}` : e.after && e.after.position ? `position ${e.before.position} → ${e.after.position}` : (e.after && e.after.note) || '';
+            case 'task.time': return `${formatDuration(e.after.minutes * 60000)}`;
+            case 'task.edit': return pairs(e.before, e.after).filter(p => !p.startsWith('desc:')).concat(e.after && 'desc' in e.after ? ['description changed'] : []).join(' • ');
+            default: return e.after && e.after.note ? e.after.note : pairs(e.before, e.after).join(' • ');
+        }
+    }
+
+    async function openActivityModal() {
+        await activityQueue;
+        const log = (await loadActivity()).slice().reverse();
+        const sections = Array.from(new Map(log.filter(e => e.section).map(e => [e.section.id, e.section.title])).entries());
+        const html = `
+      <h3>📜 Activity — ${escapeHtml(boardMeta.title)}</h3>
+      <div style="display:flex;gap:8px;align-items:center;flex-wrap:wrap;margin:6px 0 10px">
+        <select id="mm-kind" class="inline-input" style="width:auto">
+          <option value="">All changes</option>
+          ${Object.entries(ACTIVITY_KINDS).map(([k, label]) => `<option value="${k}">${escapeHtml(label)}</option>`).join('')}
+        </select>
+        <select id="mm-section" class="inline-input" style="width:auto">
+          <option value="">All sections</option>
+          ${sections.map(([id, title]) => `<option value="${escapeHtml(id)}">${escapeHtml(title)}</option>`).join('')}
+        </select>
+        <input id="mm-text" class="inline-input" style="flex:1;min-width:140px" placeholder="Filter by task text…" />
+      </div>
+      <ul id="mm-activity" class="activity-list"></ul>
+      <div style="display:flex;gap:8px;justify-content:flex-end;align-items:center;margin-top:14px">
+        <span id="mm-count" style="color:var(--muted);margin-right:auto"></span>
+        <button id="mm-clear" class="small danger">Clear log</button>
+        <button id="mm-close" class="small">Close</button>
+      </div>
+    `;
+        mm.open(html, ({ container, close }) => {
+            const kindSel = container.querySelector('#mm-kind');
+            const sectionSel = container.querySelector('#mm-section');
+            const textInput = container.querySelector('#mm-text');
+            const refresh = () => {
+                const text = textInput.value.trim().toLowerCase();
+                const shown = log.filter(e => (!kindSel.value || e.kind === kindSel.value)
+                    && (!sectionSel.value || (e.section && e.section.id === sectionSel.value))
+                    && (!text || (e.task && e.task.text.toLowerCase().includes(text))));
+                container.querySelector('#mm-activity').innerHTML = shown.slice(0, ACTIVITY_SHOWN).map(e => `
+          <li>
+            <span class="activity-when" title="${escapeHtml(new Date(e.at).toLocaleString())}">${escapeHtml(new Date(e.at).toLocaleString([], { month: 'short', day: 'numeric', hour: '2-digit', minute: '2-digit' }))}</span>
+            <span class="activity-kind">${escapeHtml(ACTIVITY_KINDS[e.kind] || e.kind)}</span>
+            <span class="activity-what">${e.task ? `<b>${escapeHtml(e.task.text)}</b>` : ''}${e.section ? ` <span style="color:var(--muted)">in ${escapeHtml(e.section.title)}</span>` : ''}
+              <small>${escapeHtml(describeChange(e))}${e.label ? ` — via ${escapeHtml(e.label)}` : ''}</small></span>
+          </li>`).join('') || '<li style="color:var(--muted)">No matching activity.</li>';
+                container.querySelector('#mm-count').textContent = `${shown.length} event${shown.length === 1 ? '' : 's'}${shown.length > ACTIVITY_SHOWN ? ` (newest ${ACTIVITY_SHOWN} shown)` : ''}`;
+            };
+            kindSel.addEventListener('change', refresh);
+            sectionSel.addEventListener('change', refresh);
+            textInput.addEventListener('input', refresh);
+            container.querySelector('#mm-close').addEventListener('click', close);
+            container.querySelector('#mm-clear').addEventListener('click', () => {
+                if (!confirm('Clear the activity log for this board? Created / completed times come from it.')) return;
+                activityCache.set(boardsIndex.active, []);
+                idbDelete(activityKey());
+                log.length = 0;
+                refresh();
+            });
+            refresh();
+        });
+    }
+
+    /* -------------------------
+       Schema — versioned envelope { version, board, sections } + ordered migrations
+       - v1: bare array of sections (pawjects_dashboard_v1, old JSON exports), tasks addressed by index
+       - v2: envelope, every section and task carries a stable id
+       - v3: per-task metadata (due, priority, assignee, tags)
+       - v4: task status, subtasks, recurrence + completions, time entries; board links, panels, saved filters, theme
+       ------------------------- */
+    let boardMeta = normalizeBoard(DEFAULT_BOARD);
+
+    const MIGRATIONS = [
+        {
+            to: 2, up: (arr) => ({
+                version: 2,
+                board: { title: DEFAULT_BOARD.title },
+                sections: (Array.isArray(arr) ? arr : []).map(s => ({
+                    ...s,
+                    id: s && typeof s.id === 'string' && s.id ? s.id : uid('sec'),
+                    tasks: (Array.isArray(s && s.tasks) ? s.tasks : []).map(t => ({ ...t, id: uid('task') }))
+                }))
+            })
+        },
+        {
+            to: 3, up: (store) => ({
+                ...store,
+                version: 3,
+                sections: store.sections.map(s => ({
+                    ...s,
+                    tasks: (s.tasks || []).map(t => ({ due: '', priority: '', assignee: '', tags: [], ...t }))
+                }))
+            })
+        },
+        {
+            to: 4, up: (store) => ({
+                ...store,
+                version: 4,
+                board: normalizeBoard(store.board),
+                sections: store.sections.map(s => ({
+                    ...s,
+                    tasks: (s.tasks || []).map(t => ({ status: t.done ? 'done' : 'todo', subtasks: [], recur: null, completions: [], time: [], ...t }))
+                }))
+            })
+        }
+    ];
+
+    function detectVersion(json) {
+        if (Array.isArray(json)) return 1;
+        if (json && typeof json === 'object' && Number.isInteger(json.version)) return json.version;
+        throw new Error('Unrecognized data format');
+    }
+
+    // Run every migration newer than the data's version, in order
+    function migrateStore(json) {
+        let version = detectVersion(json);
+        if (version > SCHEMA_VERSION) throw new Error(`Data was saved by a newer Pawjects (schema v${version})`);
+        let store = json;
+        for (const m of MIGRATIONS) {
+            if (m.to <= version) continue;
+            log(`Migrating schema v${version} → v${m.to}`);
+            store = m.up(store);
+            version = m.to;
+        }
+        return store;
+    }
+
+    function makeTask(text, extra = {}) {
+        return { id: uid('task'), text: String(text || ''), done: false, status: 'todo', desc: '', due: '', priority: '', assignee: '', tags: [], subtasks: [], ...extra };
+    }
+
+    // Completing a recurring task logs the occurrence and resets it for the next due date
+    function setTaskStatus(task, status) {
+        if (status === 'done' && task.recur) { completeOccurrence(task); return; }
+        task.status = status;
+        task.done = status === 'done';
+    }
+
+    // Edited "one per line" list → tasks. Lines matching an existing task (same text, else same position)
+    // keep its id and details; only genuinely new lines become new tasks.
+    function tasksFromLines(tasks, lines) {
+        const used = new Set();
+        const kept = lines.map(line => {
+            const t = tasks.find(x => !used.has(x) && x.text === line);
+            if (t) used.add(t);
+            return t;
+        });
+        return lines.map((line, i) => {
+            if (kept[i]) return kept[i];
+            const t = tasks[i];
+            if (t && !used.has(t)) { used.add(t); return { ...t, text: line }; }
+            return makeTask(line);
+        });
+    }
+
+    function makeSubtask(text) {
+        return { id: uid('sub'), text: String(text || ''), done: false };
+    }
+
+    // "infra, #urgent  backup" → ['infra', 'urgent', 'backup'] (deduped, order kept)
+    function parseTags(input) {
+        const list = Array.isArray(input) ? input : String(input || '').split(/[,\s]+/);
+        return Array.from(new Set(list.map(t => String(t || '').trim().replace(/^#/, '')).filter(Boolean)));
+    }
+
+    function normalizeRecur(r) {
+        if (!r || typeof r !== 'object') return null;
+        const n = Math.floor(Number(r.n));
+        switch (r.freq) {
+            case 'daily': return { freq: 'daily' };
+            case 'weekly': {
+                const days = Array.from(new Set((Array.isArray(r.days) ? r.days : []).map(Number).filter(d => d >= 0 && d <= 6))).sort();
+                return { freq: 'weekly', days };
+            }
+            case 'monthly': return { freq: 'monthly', n: n >= 1 && n <= 31 ? n : 1 };
+            case 'interval': return { freq: 'interval', n: n >= 1 ? n : 1 };
+            default: return null;
+        }
+    }
+
+    function normalizeTask(t) {
+        // `done` wins when the two disagree (older exports only know `done`)
+        const done = !!t?.done;
+        let status = STATUSES.some(x => x.id === t?.status) ? t.status : 'todo';
+        if (done) status = 'done';
+        else if (status === 'done') status = 'todo';
+        return {
+            ...t,
+            id: typeof t?.id === 'string' && t.id ? t.id : uid('task'),
+            text: String(t?.text || ''),
+            done,
+            status,
+            desc: typeof t?.desc === 'string' ? t.desc : '',
+            due: /^\d{4}-\d{2}-\d{2}$/.test(t?.due || '') ? t.due : '',
+            priority: PRIORITIES.includes(t?.priority) ? t.priority : '',
+            assignee: typeof t?.assignee === 'string' ? t.assignee.trim() : '',
+            tags: parseTags(t?.tags),
+            recur: normalizeRecur(t?.recur),
+            completions: (Array.isArray(t?.completions) ? t.completions : []).filter(c => c && typeof c.at === 'string'),
+            // entries logged before they had ids are keyed by their start time (one clock can't start twice at once)
+            time: (Array.isArray(t?.time) ? t.time : []).filter(e => e && typeof e.start === 'string' && typeof e.end === 'string')
+                .map(e => ({ ...e, id: typeof e.id === 'string' && e.id ? e.id : `time-${e.start}` })),
+            subtasks: (Array.isArray(t?.subtasks) ? t.subtasks : []).filter(x => x && typeof x === 'object').map(x => ({
+                id: typeof x.id === 'string' && x.id ? x.id : uid('sub'),
+                text: String(x.text || ''),
+                done: !!x.done
+            }))
+        };
+    }
+
+    // Sidebar row; `url` turns it into a monitored endpoint (expect 0 = any 2xx, every = seconds)
+    function normalizePanelRow(row) {
+        const expect = Math.floor(Number(row.expect));
+        const every = Math.floor(Number(row.every));
+        return {
+            ...row,
+            id: typeof row.id === 'string' && row.id ? row.id : uid('row'),
+            host: String(row.host || ''),
+            label: String(row.label || ''),
+            url: String(row.url || '').trim(),
+            expect: expect >= 100 && expect <= 599 ? expect : 0,
+            every: every >= 10 ? every : 60
+        };
+    }
+
+    // Board chrome: missing links / panels fall back to the defaults, rows keep any extra fields
+    function normalizeBoard(b) {
+        const src = b && typeof b === 'object' ? b : {};
+        const list = (v, fallback) => (Array.isArray(v) ? v : fallback).filter(x => x && typeof x === 'object');
+        return {
+            ...src,
+            title: String(src.title || '').trim() || DEFAULT_BOARD.title,
+            filters: list(src.filters, [])
+                .map(f => ({ id: typeof f.id === 'string' && f.id ? f.id : uid('filter'), name: String(f.name || '').trim(), query: String(f.query || '').trim() }))
+                .filter(f => f.name && f.query),
+            theme: normalizeTheme(src.theme),
+            links: list(src.links, DEFAULT_BOARD.links).map(l => ({ ...l, label: String(l.label || ''), url: String(l.url || ''), icon: String(l.icon || '') })),
+            panels: list(src.panels, DEFAULT_BOARD.panels).map(p => ({
+                ...p,
+                id: typeof p.id === 'string' && p.id ? p.id : uid('panel'),
+                title: String(p.title || ''),
+                alertSection: typeof p.alertSection === 'string' ? p.alertSection : '',
+                rows: list(p.rows, []).map(normalizePanelRow)
+            }))
+        };
+    }
+
+    // Shape-check a current-version envelope (ids unique, fields typed)
+    function normalizeStore(store) {
+        if (!store || !Array.isArray(store.sections)) throw new Error('Invalid structure: missing sections');
+        const seen = new Set();
+        const sections = store.sections.map(s => {
+            if (!s || typeof s !== 'object') throw new Error('Invalid section shape');
+            const sec = {
+                ...s,
+                id: typeof s.id === 'string' && s.id ? s.id : uid('sec'),
+                title: String(s.title || ''),
+                tag: s.tag || '',
+                color: s.color || '#888',
+                due: s.due || '',
+                tasks: (Array.isArray(s.tasks) ? s.tasks : []).map(normalizeTask)
+            };
+            sec.tasks.forEach(t => { if (seen.has(t.id)) t.id = uid('task'); seen.add(t.id); });
+            return sec;
+        });
+        return { version: SCHEMA_VERSION, board: normalizeBoard(store.board), sections };
+    }
+
+    // raw JSON string (any known version) → current envelope
+    function parseStore(raw) {
+        return normalizeStore(migrateStore(JSON.parse(raw)));
+    }
+
+    function buildStore(sections) {
+        return { version: SCHEMA_VERSION, board: boardMeta, sections };
+    }
+
+    // Synchronous read of the stored sections (progress / filters / click handlers).
+    // Parsed once per saved version and shared — treat it as read-only; edit a loadData() copy instead.
+    let parsedSections = { raw: null, sections: [] };
+
+    function readSections() {
+        const raw = storage.get(storageKey);
+        if (!raw) return [];
+        if (raw !== parsedSections.raw) {
+            try { parsedSections = { raw, sections: parseStore(raw).sections }; } catch { return []; }
+        }
+        return parsedSections.sections;
+    }
+
+    function findTaskIndex(section, taskId) {
+        return section ? section.tasks.findIndex(t => t.id === taskId) : -1;
+    }
+
+    /* -------------------------
+       Recurring tasks — rule { freq: daily | weekly (days 0–6) | monthly (day n) | interval (every n days) }
+       - checking one off appends { at, due } to task.completions and resets it with the next due date
+       ------------------------- */
+    const WEEKDAYS = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
+    const COMPLETIONS_LIMIT = 100;
+
+    function dateKey(d) {
+        return `${d.getFullYear()}-${String(d.getMonth() + 1).padStart(2, '0')}-${String(d.getDate()).padStart(2, '0')}`;
+    }
+    function parseDateKey(key) {
+        const [y, m, d] = String(key).split('-').map(Number);
+        return new Date(y, m - 1, d);
+    }
+    function addDays(d, n) { return new Date(d.getFullYear(), d.getMonth(), d.getDate() + n); }
+    function todayDate() { const d = new Date(); return new Date(d.getFullYear(), d.getMonth(), d.getDate()); }
+
+    // First occurrence strictly after `after` (a local-midnight Date)
+    function nextOccurrence(rule, after) {
+        switch (rule.freq) {
+            case 'daily': return addDays(after, 1);
+            case 'interval': return addDays(after, rule.n);
+            case 'weekly': {
+                const days = rule.days.length ? rule.days : [after.getDay()];
+                for (let i = 1; i <= 7; i++) {
+                    const d = addDays(after, i);
+                    if (days.includes(d.getDay())) return d;
+                }
+                return addDays(after, 7);
+            }
+            case 'monthly': {
+                // day 31 in a 30-day month → the 30th
+                const inMonth = (y, m) => new Date(y, m, Math.min(rule.n, new Date(y, m + 1, 0).getDate()));
+                const same = inMonth(after.getFullYear(), after.getMonth());
+                return same > after ? same : inMonth(after.getFullYear(), after.getMonth() + 1);
+            }
+        }
+        return addDays(after, 1);
+    }
+
+    // Next due date after completing now: counted from the old due date, or today if it was already overdue
+    function nextDueDate(task) {
+        const today = todayDate();
+        const due = task.due ? parseDateKey(task.due) : today;
+        return dateKey(nextOccurrence(task.recur, due > today ? due : today));
+    }
+
+    function completeOccurrence(task) {
+        task.completions = [...(task.completions || []), { at: nowISO(), due: task.due || '' }].slice(-COMPLETIONS_LIMIT);
+        task.due = nextDueDate(task);
+        task.done = false;
+        task.status = 'todo';
+        (task.subtasks || []).forEach(st => { st.done = false; });
+    }
+
+    function describeRecur(rule) {
+        if (!rule) return '';
+        switch (rule.freq) {
+            case 'daily': return 'Daily';
+            case 'weekly': return rule.days.length ? `Weekly ${rule.days.map(d => WEEKDAYS[d]).join(', ')}` : 'Weekly';
+            case 'monthly': return `Monthly on day ${rule.n}`;
+            case 'interval': return rule.n === 1 ? 'Every day' : `Every ${rule.n} days`;
+        }
+        return '';
+    }
+
+    function defaultStore() {
+        return normalizeStore(migrateStore(JSON.parse(JSON.stringify(DEFAULTS))));
+    }
+
+    // Loads data from the storage adapter (primary). The native file is reconciled separately (syncWithNativeFile).
+    async function loadData() {
+        console.groupCollapsed("🧩 loadData()");
+        try {
+            const raw = storage.get(storageKey);
+            let store;
+
+            if (!raw) {
+                // first run: the main board opens with the Quick Guide, any other board starts empty
+                console.log("🆕 No local data found — using DEFAULTS.");
+                store = defaultStore();
+                if (storageKey !== STORAGE_KEY) store.sections = [];
+            } else {
+                try {
+                    store = parseStore(raw);
+                } catch (err) {
+                    console.warn("⚠️ Corrupted board data — keeping a copy and resetting:", err);
+                    storage.set(`${storageKey}:corrupt`, raw);
+                    store = defaultStore();
+                }
+            }
+
+            // Persist upgrades (migrations, new ids) without touching undo history
+            boardMeta = store.board;
+            if (JSON.stringify(store) !== raw) await saveData(store.sections, { skipSnapshot: true });
+
+            const parsed = store.sections;
+            console.log(`✅ Loaded ${parsed.length} sections, total tasks:`,
+                parsed.reduce((a, s) => a + s.tasks.length, 0));
+            console.groupEnd();
+            return parsed;
+        } catch (err) {
+            console.error("❌ Fatal load error:", err);
+            console.groupEnd();
+            const safe = defaultStore();
+            boardMeta = safe.board;
+            await saveData(safe.sections, { skipSnapshot: true });
+            return safe.sections;
+        }
+    }
+
+    /* -------------------------
+       Native folder sync (File System Access API)
+       - baseline { fileModified, localUpdatedAt } records the last moment file and browser agreed
+       - only one side changed since → copy it across; both changed → conflict dialog
+       - a newer local copy is never overwritten silently
+       ------------------------- */
+    let syncState = 'off'; // off | prompt | saving | synced | conflict | error
+
+    function syncKey() { return `${storageKey}:sync`; }
+    function nativeFilename() {
+        return boardsIndex.active === MAIN_BOARD_ID ? NATIVE_FILENAME : NATIVE_FILENAME.replace(/\.json$/, `.${boardsIndex.active}.json`);
+    }
+    let syncRunning = null;
+
+    function readSyncBaseline() {
+        try { return JSON.parse(storage.get(syncKey()) || 'null'); } catch { return null; }
+    }
+    function localUpdatedAt() {
+        try { return JSON.parse(storage.get(`${storageKey}:meta`) || '{}').updatedAt || ''; } catch { return ''; }
+    }
+    function writeSyncBaseline(fileModified) {
+        storage.set(syncKey(), JSON.stringify({ fileModified, localUpdatedAt: localUpdatedAt() }));
+    }
+
+    // 'granted' | 'prompt' | 'denied' — request=true must run inside a user gesture
+    async function nativePermission(request = false) {
+        if (!nativeDirHandle) return 'denied';
+        const opts = { mode: 'readwrite' };
+        let perm = await nativeDirHandle.queryPermission(opts);
+        if (perm === 'prompt' && request) perm = await nativeDirHandle.requestPermission(opts);
+        return perm;
+    }
+
+    // → { text, lastModified } or null when the file doesn't exist yet
+    async function readNativeFile() {
+        try {
+            const fh = await nativeDirHandle.getFileHandle(nativeFilename(), { create: false });
+            const file = await fh.getFile();
+            return { text: await file.text(), lastModified: file.lastModified };
+        } catch (err) {
+            if (err && err.name === 'NotFoundError') return null;
+            throw err;
+        }
+    }
+
+    // Write JSON to the native file inside chosen folder; returns the file's new lastModified
+    async function writeToNativeFile(store) {
+        if (!nativeDirHandle) throw new Error('No native dir handle');
+        const fh = await nativeDirHandle.getFileHandle(nativeFilename(), { create: true });
+        const writable = await fh.createWritable();
+        await writable.write(JSON.stringify(store, null, 2));
+        await writable.close();
+        return (await fh.getFile()).lastModified;
+    }
+
+    // Called by saveData(): mirror the local store unless the file moved on without us
+    async function pushToNativeFile() {
+        if (!nativeDirHandle || syncRunning || syncState === 'conflict') return;
+        if (await nativePermission() !== 'granted') { setSyncState('prompt'); return; }
+        const base = readSyncBaseline();
+        const file = await readNativeFile();
+        if (file && (!base || file.lastModified > base.fileModified)) {
+            log('Native file changed externally — reconciling instead of overwriting.');
+            syncWithNativeFile();
+            return;
+        }
+        setSyncState('saving');
+        writeSyncBaseline(await writeToNativeFile(JSON.parse(storage.get(storageKey))));
+        setSyncState('synced');
+        log('Saved to native file.');
+    }
+
+    // Full two-way reconcile (connect, restore, tab focus, manual "sync now")
+    function syncWithNativeFile() {
+        if (syncRunning) return syncRunning;
+        syncRunning = (async () => {
+            try {
+                if (await nativePermission() !== 'granted') { setSyncState('prompt'); return; }
+                setSyncState('saving');
+                const localRaw = storage.get(storageKey);
+                const local = localRaw ? parseStore(localRaw) : defaultStore();
+                const file = await readNativeFile();
+                if (!file || !file.text.trim()) {
+                    writeSyncBaseline(await writeToNativeFile(local));
+                    setSyncState('synced');
+                    return;
+                }
+                const remote = parseStore(file.text);
+                if (JSON.stringify(remote) === JSON.stringify(local)) {
+                    writeSyncBaseline(file.lastModified);
+                    setSyncState('synced');
+                    return;
                 }
+                const base = readSyncBaseline();
+                const fileChanged = !base || file.lastModified > base.fileModified;
+                const localChanged = !base || localUpdatedAt() > base.localUpdatedAt;
+                if (fileChanged && localChanged) {
+                    setSyncState('conflict');
+                    openSyncConflictModal(local, remote, file.lastModified);
+                    return;
+                }
+                if (fileChanged) await adoptNativeStore(remote, file.lastModified, 'load from synced folder');
+                else writeSyncBaseline(await writeToNativeFile(local));
+                setSyncState('synced');
+            } catch (err) {
+                console.warn('Native sync failed:', err);
+                setSyncState('error', err && err.message);
+            } finally {
+                syncRunning = null;
+            }
+        })();
+        return syncRunning;
+    }
+
+    async function adoptNativeStore(store, fileModified, label) {
+        boardMeta = store.board;
+        await saveData(store.sections, { label, skipNative: true });
+        writeSyncBaseline(fileModified);
+        renderAll();
+    }
+
+    // Union of both sides: sections/tasks matched by id, local copy wins where both have an item
+    function mergeStores(local, remote) {
+        const localTaskIds = new Set(local.sections.flatMap(s => s.tasks.map(t => t.id)));
+        const sections = local.sections.map(s => {
+            const other = remote.sections.find(r => r.id === s.id);
+            if (!other) return s;
+            return { ...s, tasks: [...s.tasks, ...other.tasks.filter(t => !localTaskIds.has(t.id))] };
+        });
+        remote.sections.forEach(r => {
+            if (sections.some(s => s.id === r.id)) return;
+            sections.push({ ...r, tasks: r.tasks.filter(t => !localTaskIds.has(t.id)) });
+        });
+        return normalizeStore({ ...local, sections });
+    }
+
+    function openSyncConflictModal(local, remote, fileModified) {
+        const count = (st) => `${st.sections.length} sections, ${st.sections.reduce((a, s) => a + s.tasks.length, 0)} tasks`;
+        const html = `
+      <h3>⚠️ Sync conflict</h3>
+      <p style="color:var(--muted)">Both this browser and <b>${escapeHtml(nativeFilename())}</b> changed since they were last in sync.</p>
+      <ul style="margin:8px 0 0 18px;padding:0">
+        <li><b>This browser:</b> ${count(local)} — saved ${escapeHtml(new Date(localUpdatedAt() || Date.now()).toLocaleString())}</li>
+        <li><b>Folder file:</b> ${count(remote)} — modified ${escapeHtml(new Date(fileModified).toLocaleString())}</li>
+      </ul>
+      <div style="display:flex;gap:8px;justify-content:flex-end;margin-top:14px;flex-wrap:wrap">
+        <button id="mm-later" class="small">Decide later</button>
+        <button id="mm-keep-local" class="pill">Keep local</button>
+        <button id="mm-keep-file" class="pill">Keep file</button>
+        <button id="mm-merge" class="pill" title="Keeps every section and task from both sides">Merge both</button>
+      </div>
+    `;
+        mm.open(html, ({ container, close }) => {
+            const resolve = (fn) => async () => {
+                close();
+                try {
+                    await fn();
+                    setSyncState('synced');
+                } catch (err) {
+                    console.warn('Conflict resolution failed:', err);
+                    setSyncState('error', err && err.message);
+                }
+            };
+            container.querySelector('#mm-later').addEventListener('click', close);
+            container.querySelector('#mm-keep-local').addEventListener('click', resolve(async () => {
+                writeSyncBaseline(await writeToNativeFile(JSON.parse(storage.get(storageKey))));
+                toast('Kept local copy — folder file updated');
+            }));
+            container.querySelector('#mm-keep-file').addEventListener('click', resolve(async () => {
+                await adoptNativeStore(remote, fileModified, 'keep folder copy');
+                toast('Loaded folder copy (Ctrl+Z to undo)');
+            }));
+            container.querySelector('#mm-merge').addEventListener('click', resolve(async () => {
+                const merged = mergeStores(parseStore(storage.get(storageKey)), remote);
+                boardMeta = merged.board;
+                await saveData(merged.sections, { label: 'merge synced folder', skipNative: true });
+                writeSyncBaseline(await writeToNativeFile(merged));
+                renderAll();
+                toast('Merged local and folder copies');
+            }));
+        });
+    }
 
-                // ✅ Update global progress bar
-                updateGlobalProgress(true);
+    // With access granted the folder also becomes a storage backend (pawjects-data/, every board and its history)
+    async function attachFolder() {
+        try {
+            await storage.attach(folderBackend(nativeDirHandle), (err) => {
+                console.warn('Folder backend write failed:', err);
+                setSyncState('error', err && err.message);
             });
+        } catch (err) {
+            console.warn('Folder backend unavailable:', err);
+            setSyncState('error', err && err.message);
+        }
+    }
+
+    // Ask user to pick the folder (e.g., your /data/). Persist handle via IDB.
+    async function promptConnectFolder() {
+        if (!('showDirectoryPicker' in window)) {
+            alert('Your browser does not support the File System Access API. Native folder sync unavailable.');
+            return;
+        }
+        try {
+            const dir = await window.showDirectoryPicker({ mode: 'readwrite' });
+            if (!dir) return;
+            nativeDirHandle = dir;
+            storage.remove(syncKey()); // new folder → no shared baseline yet
+            if (!await idbPut('nativeDirHandle', dir)) log('Could not persist dir handle to IndexedDB.');
+            await attachFolder();
+            await syncWithNativeFile();
+            if (syncState === 'synced') toast(`Connected folder “${dir.name}”`);
+        } catch (err) {
+            if (err && err.name === 'AbortError') {
+                toast('Folder selection cancelled');
+            } else {
+                console.error('promptConnectFolder error', err);
+                alert('Could not access folder: ' + (err && err.message ? err.message : String(err)));
+            }
+        }
+    }
+
+    async function disconnectFolder() {
+        if (!confirm(`Stop syncing with ${nativeFilename()}? Your data stays in this browser.`)) return;
+        nativeDirHandle = null;
+        await storage.attach(null);
+        await idbDelete('nativeDirHandle');
+        storage.remove(syncKey());
+        setSyncState('off');
+        toast('Folder disconnected');
+    }
 
-            /* ===============================
-               ✅ Progress bar setup (on render)
-               =============================== */
-            const progressBar = sec.querySelector('.progress');
-            const progressContainer = progressBar?.closest('.progress-bar');
+    // Re-permission after a reload: browsers drop 'granted' and answer 'prompt' until the user clicks
+    async function reconnectFolder() {
+        try {
+            if (await nativePermission(true) === 'granted') {
+                await attachFolder();
+                await syncWithNativeFile();
+            } else toast('Folder permission not granted');
+        } catch (err) {
+            console.warn('reconnectFolder error', err);
+            setSyncState('error', err && err.message);
+        }
+    }
+
+    // Restore the persisted dir handle on startup (browser gives a live handle back via structured clone)
+    async function restoreDirHandle() {
+        if (!('showDirectoryPicker' in window)) return;
+        const maybe = await idbGet('nativeDirHandle');
+        if (!maybe) return;
+        try {
+            nativeDirHandle = maybe;
+            const permission = await nativeDirHandle.queryPermission({ mode: 'readwrite' });
+            if (permission === 'granted') {
+                log('Restored native dir handle from IDB (granted).');
+                await attachFolder();
+                await syncWithNativeFile();
+            } else if (permission === 'prompt') {
+                log('Restored native dir handle — permission prompt required.');
+                setSyncState('prompt');
+            } else {
+                log('Restored handle has no permission; clearing persisted handle.');
+                nativeDirHandle = null;
+                await idbDelete('nativeDirHandle');
+            }
+        } catch (err) {
+            log('Failed restoring native handle:', err);
+            nativeDirHandle = null;
+            await idbDelete('nativeDirHandle');
+        }
+    }
+
+    function onFolderButton() {
+        if (!nativeDirHandle) promptConnectFolder();
+        else if (syncState === 'prompt') reconnectFolder();
+        else disconnectFolder();
+    }
+
+    const SYNC_LABELS = {
+        prompt: '🔒 Folder needs permission — click to reconnect',
+        saving: '⏳ Syncing…',
+        synced: '🔗 Synced',
+        conflict: '⚠️ Sync conflict — click to resolve',
+        error: '❌ Sync error — click to retry'
+    };
+
+    // Footer indicator + Connect/Disconnect button text
+    function setSyncState(state, detail = '') {
+        syncState = state;
+        const el = document.getElementById('sync-status');
+        if (el) {
+            const where = nativeDirHandle ? `${nativeDirHandle.name}/${nativeFilename()}` : nativeFilename();
+            el.dataset.state = state;
+            el.textContent = state === 'synced' ? `${SYNC_LABELS.synced} to ${where}` : (SYNC_LABELS[state] || '');
+            el.title = detail || where;
+            el.classList.toggle('hidden', state === 'off');
+        }
+        const btn = document.getElementById('connect-folder-btn');
+        if (btn) {
+            btn.textContent = !nativeDirHandle ? '🔗 Connect Folder' : state === 'prompt' ? '🔓 Reconnect Folder' : '⛓️ Disconnect Folder';
+        }
+    }
+
+    /* -------------------------
+       Boards — create / rename / duplicate / delete / switch
+       - the active board is the only one loaded; the others sit untouched under their own keys
+       ------------------------- */
+    function readBoardStore(id) {
+        try {
+            const raw = storage.get(boardKey(id));
+            return raw ? parseStore(raw) : null;
+        } catch { return null; }
+    }
+
+    function writeBoardStore(id, store) {
+        storage.set(boardKey(id), JSON.stringify(store));
+        storage.set(`${boardKey(id)}:meta`, JSON.stringify({ ...STORAGE_META, updatedAt: nowISO() }));
+    }
+
+    // A board that isn't open, saved the way saveData() saves the open one: undo history + activity log included
+    function saveBoardStore(id, store, label) {
+        const prev = storage.get(boardKey(id));
+        stampTaskTimes(store.sections, prev);
+        const next = JSON.stringify(store);
+        pushHistory(label, prev, next, id);
+        recordActivity(prev, next, label, id);
+        writeBoardStore(id, store);
+    }
+
+    function removeBoardKeys(id) {
+        ['', ':meta', ':history', ':activity', ':sync', ':corrupt'].forEach(suffix => storage.remove(boardKey(id) + suffix));
+        activityCache.delete(id);
+        idbDelete(activityKey(id));
+    }
+
+    async function switchBoard(id) {
+        if (!boardsIndex.boards.some(b => b.id === id)) return;
+        if (syncRunning) await syncRunning;
+        boardsIndex.active = id;
+        persistBoardsIndex();
+        storageKey = boardKey(id);
+        undoHistory = readHistory();
+        await loadActivity(id);
+        if (searchInput) searchInput.value = '';
+        if (filterSelect) filterSelect.value = '';
+        await renderAll();
+        rebuildFilterOptions();
+        restoreLastSaved();
+        if (nativeDirHandle) syncWithNativeFile();
+    }
+
+    // New boards start with the default sidebar panels (empty) and no quick links
+    // a fresh board keeps the panel layout but starts with no links or rows
+    function blankBoard(title) {
+        return normalizeBoard({ title, links: [], panels: DEFAULT_BOARD.panels.map(p => ({ ...p, rows: [] })) });
+    }
+
+    function createBoard(title, from = null) {
+        const id = uid('board');
+        const store = from
+            ? { ...from, board: { ...from.board, title } }
+            : { version: SCHEMA_VERSION, board: blankBoard(title), sections: [] };
+        writeBoardStore(id, store);
+        boardsIndex.boards.push({ id, title });
+        persistBoardsIndex();
+        return id;
+    }
+
+    async function renameBoard(id, title) {
+        if (id === boardsIndex.active) {
+            const old = boardMeta.title;
+            boardMeta = { ...boardMeta, title };
+            await saveData(readSections(), { label: `rename board ${quote(old)}` });
+            renderBoardChrome();
+            return;
+        }
+        const store = readBoardStore(id);
+        if (store) writeBoardStore(id, { ...store, board: { ...store.board, title } });
+        boardsIndex.boards.find(b => b.id === id).title = title;
+        persistBoardsIndex();
+        renderBoardSwitcher();
+    }
+
+    async function deleteBoard(id) {
+        const entry = boardsIndex.boards.find(b => b.id === id);
+        if (!entry) return false;
+        if (boardsIndex.boards.length < 2) { toast('A workspace needs at least one board'); return false; }
+        if (!confirm(`Delete board ${quote(entry.title, 60)} and all of its sections? A snapshot is kept — restore it from 🗄️ Backups.`)) return false;
+        // keep a way back: the snapshot stays listed under "Deleted boards" in the Backups browser
+        if (await backupBoard('before delete', id)) await rememberDeletedBoard(id, entry.title);
+        removeBoardKeys(id);
+        boardsIndex.boards = boardsIndex.boards.filter(b => b.id !== id);
+        if (boardsIndex.active === id) await switchBoard(boardsIndex.boards[0].id);
+        persistBoardsIndex();
+        renderBoardSwitcher();
+        return true;
+    }
+
+    function renderBoardSwitcher() {
+        const select = document.getElementById('board-select');
+        if (!select) return;
+        select.innerHTML = boardsIndex.boards.map(b => `<option value="${escapeHtml(b.id)}">${escapeHtml(b.title)}</option>`).join('');
+        select.value = boardsIndex.active;
+    }
+
+    function openBoardsModal() {
+        const rows = boardsIndex.boards.map(b => {
+            const store = b.id === boardsIndex.active ? buildStore(readSections()) : readBoardStore(b.id);
+            const count = store ? `${store.sections.length} sections, ${store.sections.reduce((a, s) => a + s.tasks.length, 0)} tasks` : 'empty';
+            return `
+        <li data-id="${escapeHtml(b.id)}" style="display:flex;align-items:center;gap:8px;padding:8px 0;border-bottom:1px solid rgba(var(--tint),0.06)">
+          <div style="flex:1;min-width:0">
+            <b>${escapeHtml(b.title)}</b>${b.id === boardsIndex.active ? ' <span class="chip">current</span>' : ''}
+            <div style="color:var(--muted);font-size:0.8rem">${count}</div>
+          </div>
+          ${b.id === boardsIndex.active ? '' : '<button class="small" data-act="open">Open</button>'}
+          <button class="small" data-act="rename" title="Rename">✎</button>
+          <button class="small" data-act="duplicate" title="Duplicate">⧉</button>
+          <button class="small danger" data-act="delete" title="Delete">🗑</button>
+        </li>`;
+        }).join('');
+        const html = `
+      <h3>🗂️ Boards</h3>
+      <ul style="list-style:none;margin:0;padding:0">${rows}</ul>
+      <div style="display:flex;gap:8px;margin-top:14px">
+        <input id="mm-board-name" class="inline-input" placeholder="New board name" />
+        <button id="mm-board-create" class="pill">➕ New board</button>
+      </div>
+      <div style="display:flex;justify-content:flex-end;margin-top:14px">
+        <button id="mm-board-close" class="small">Close</button>
+      </div>
+    `;
+        mm.open(html, ({ container, close }) => {
+            container.querySelector('#mm-board-close').addEventListener('click', close);
+            const create = async () => {
+                const title = container.querySelector('#mm-board-name').value.trim();
+                if (!title) return;
+                const id = createBoard(title);
+                close();
+                await switchBoard(id);
+                toast(`Created board ${quote(title)}`);
+            };
+            container.querySelector('#mm-board-create').addEventListener('click', create);
+            container.querySelector('#mm-board-name').addEventListener('keydown', (e) => { if (e.key === 'Enter') create(); });
+            container.querySelectorAll('li[data-id] button').forEach(btn => btn.addEventListener('click', async () => {
+                const id = btn.closest('li').dataset.id;
+                const entry = boardsIndex.boards.find(b => b.id === id);
+                if (btn.dataset.act === 'open') {
+                    close();
+                    await switchBoard(id);
+                } else if (btn.dataset.act === 'rename') {
+                    const title = (prompt('Rename board', entry.title) || '').trim();
+                    if (!title || title === entry.title) return;
+                    await renameBoard(id, title);
+                    openBoardsModal();
+                } else if (btn.dataset.act === 'duplicate') {
+                    const store = id === boardsIndex.active ? buildStore(await loadData()) : readBoardStore(id);
+                    createBoard(`${entry.title} (copy)`, store);
+                    renderBoardSwitcher();
+                    toast(`Duplicated ${quote(entry.title)}`);
+                    openBoardsModal();
+                } else if (btn.dataset.act === 'delete') {
+                    if (await deleteBoard(id)) openBoardsModal();
+                }
+            }));
+        });
+    }
+
+    /* -------------------------
+       UI references & init
+       ------------------------- */
+    const dynamicContainer = document.getElementById('dynamic-sections');
+    const initBtn = document.getElementById('init-section-btn');
+    const exportBtn = document.getElementById('export-json');
+    const importBtn = document.getElementById('import-json-btn');
+    const quickAddBtn = document.getElementById('quick-add-btn');
+    const searchInput = document.getElementById('global-search');
+    const filterSelect = document.getElementById('filter-select');
+    const lastSavedEl = document.getElementById('last-saved');
+    const sectionTemplate = document.getElementById('section-template');
+    const taskTemplate = document.getElementById('task-template');
+
+    // inject Connect Folder button into header controls (only where the File System Access API exists)
+    (function injectFolderButton() {
+        try {
+            const controls = document.querySelector('.topbar .controls');
+            if (!controls || !('showDirectoryPicker' in window)) return;
+            const btn = document.createElement('button');
+            btn.id = 'connect-folder-btn';
+            btn.className = 'pill';
+            btn.textContent = '🔗 Connect Folder';
+            btn.title = `Connect a local folder to sync ${NATIVE_FILENAME} (one file per board, optional)`;
+            btn.addEventListener('click', onFolderButton);
+            controls.insertBefore(btn, controls.firstChild);
+        } catch (e) { /* ignore */ }
+    })();
+
+    // footer indicator doubles as "sync now" / "resolve conflict" / "reconnect"
+    const syncStatusEl = document.getElementById('sync-status');
+    if (syncStatusEl) syncStatusEl.addEventListener('click', () => {
+        if (!nativeDirHandle) return;
+        if (syncState === 'prompt') reconnectFolder(); else syncWithNativeFile();
+    });
+
+    // tiny toast; optional action = { label, run } adds one button (e.g. 💤 Snooze)
+    let toastTimer = null;
+    function toast(msg, ms = 2200, action = null) {
+        clearTimeout(toastTimer);
+        let t = document.getElementById('__todo_toast');
+        if (!t) {
+            t = document.createElement('div'); t.id = '__todo_toast';
+            t.style.position = 'fixed'; t.style.right = '18px'; t.style.bottom = '18px';
+            t.style.padding = '10px 14px'; t.style.borderRadius = '10px';
+            t.style.background = 'linear-gradient(90deg,var(--accent-1),var(--accent-2))';
+            t.style.color = 'white'; t.style.boxShadow = '0 6px 24px rgba(2,6,23,0.5)';
+            t.setAttribute('role', 'status');
+            document.body.appendChild(t);
+        }
+        t.textContent = msg; t.style.opacity = '1';
+        t.style.pointerEvents = action ? 'auto' : 'none';
+        if (action) {
+            const btn = document.createElement('button');
+            btn.type = 'button'; btn.className = 'small'; btn.textContent = action.label;
+            btn.style.marginLeft = '10px';
+            btn.addEventListener('click', () => { t.style.opacity = '0'; t.style.pointerEvents = 'none'; action.run(); });
+            t.appendChild(btn);
+        }
+        toastTimer = setTimeout(() => { t.style.opacity = '0'; t.style.pointerEvents = 'none'; }, ms);
+    }
+
+    /* -------------------------
+       Rendering
+       ------------------------- */
+    function clearUi() { dynamicContainer.innerHTML = ''; }
+
+    async function renderAll() {
+        clearUi();
+        const sections = await loadData(); // ensure up-to-date source
+        renderBoardChrome();
+        const query = parseQuery(searchInput && searchInput.value);
+        const filter = (filterSelect && filterSelect.value) || '';
+        if (currentView !== 'stats') renderDueSummary(sections);
+        if (currentView === 'board') renderBoard(sections, { query, filter });
+        else if (currentView === 'stats') renderStats(sections);
+        else sections.forEach(s => renderSection(s, { query, filter }));
+        initDragAndDrop();
+        applyTaskFocus();
+        updateGlobalProgress(true); // compute from storage
+    }
+
+    // Title, quick links and sidebar panels of the active board
+    function renderBoardChrome() {
+        const titleEl = document.getElementById('board-title');
+        if (titleEl && document.activeElement !== titleEl) titleEl.textContent = boardMeta.title;
+        document.title = boardMeta.title;
+        applyTheme();
+
+        const nav = document.querySelector('.topbar nav.links');
+        if (nav) {
+            nav.innerHTML = boardMeta.links
+                .filter(l => safeUrl(l.url))
+                .map(l => `<a href="${escapeHtml(l.url)}" target="_blank" rel="noopener">${escapeHtml([l.icon, l.label || l.url].filter(Boolean).join(' '))}</a>`)
+                .join('') + '<button class="small links-edit" type="button" title="Edit quick links">✎</button>';
+            nav.querySelector('.links-edit').addEventListener('click', openLinksEditor);
+        }
+
+        const sidebar = document.querySelector('.info-panel');
+        if (sidebar) {
+            sidebar.querySelectorAll('.board-panel').forEach(el => el.remove());
+            const anchor = sidebar.querySelector('.search-box');
+            boardMeta.panels.forEach(p => {
+                const box = document.createElement('div');
+                box.className = 'info-box board-panel';
+                box.dataset.panel = p.id;
+                const width = Math.max(0, ...p.rows.map(row => row.host.length)) + 3;
+                let body = '<p class="hint">No entries yet — click ✎ to add some.</p>';
+                if (p.rows.some(row => row.url)) {
+                    body = `<ul class="info-list health-list">${p.rows.map(row => `
+                        <li${row.url ? ` data-health="${escapeHtml(healthKey(row))}" data-row="${escapeHtml(row.id)}" tabindex="0"` : ''}>
+                            <span class="health-dot" data-state="${row.url ? 'pending' : 'none'}"></span>
+                            <span class="host">${escapeHtml(row.host || row.url)}</span>
+                            <span class="label">${escapeHtml(row.label)}</span>
+                            <span class="health-meta"></span>
+                        </li>`).join('')}</ul>`;
+                } else if (p.rows.length) {
+                    body = `<pre class="info-list">${escapeHtml(p.rows.map(row => row.host.padEnd(width) + row.label).join('\n'))}</pre>`;
+                }
+                box.innerHTML = `<h3><span>${escapeHtml(p.title)}</span><button class="small panel-edit" type="button" title="Edit panel">✎</button></h3>${body}`;
+                box.querySelector('.panel-edit').addEventListener('click', () => openPanelEditor(p.id));
+                sidebar.insertBefore(box, anchor);
+                // click a monitored row to check it right away
+                box.querySelectorAll('li[data-row]').forEach(li => {
+                    const row = p.rows.find(x => x.id === li.dataset.row);
+                    const now = () => { li.querySelector('.health-meta').textContent = 'checking…'; runHealthCheck(row, p); };
+                    li.addEventListener('click', now);
+                    li.addEventListener('keydown', (e) => { if (e.key === 'Enter') now(); });
+                    updateHealthRow(row);
+                });
+            });
+            const add = document.createElement('button');
+            add.className = 'small board-panel add-panel';
+            add.type = 'button';
+            add.textContent = '➕ Add panel';
+            add.addEventListener('click', () => openPanelEditor(null));
+            sidebar.insertBefore(add, anchor);
+        }
+        renderBoardSwitcher();
+        scheduleHealthChecks();
+    }
+
+    /* -------------------------
+       Subtasks (nested checklist inside a task)
+       - addressed by task id + subtask id, reordered by drag within the same task
+       ------------------------- */
+    async function mutateTask(secId, taskId, label, fn) {
+        const data = await loadData();
+        const sObj = data.find(s => s.id === secId);
+        const task = sObj && sObj.tasks.find(t => t.id === taskId);
+        if (!task) { toast('Task no longer exists'); return false; }
+        if (fn(task, sObj) === false) return false;
+        await saveData(data, { label: typeof label === 'function' ? label(task) : label });
+        await renderAll();
+        return true;
+    }
+
+    function renderSubtasks(li, secId, t) {
+        const list = li.querySelector('.subtasks');
+        const addRow = li.querySelector('.subtask-add');
+        if (!list || !addRow) return;
+        const subs = t.subtasks || [];
+        list.innerHTML = '';
+        list.classList.toggle('hidden', !subs.length);
+        if (subs.length) addRow.classList.remove('hidden');
+
+        subs.forEach(sub => {
+            const item = document.createElement('li');
+            item.className = 'subtask' + (sub.done ? ' checked' : '');
+            item.draggable = true;
+            item.dataset.subId = sub.id;
+
+            const cb = document.createElement('input');
+            cb.type = 'checkbox';
+            cb.checked = sub.done;
+            cb.addEventListener('change', () => mutateTask(secId, t.id,
+                `${cb.checked ? 'complete' : 'reopen'} subtask ${quote(sub.text)}`,
+                task => { const x = task.subtasks.find(y => y.id === sub.id); if (!x) return false; x.done = cb.checked; }));
+
+            const text = document.createElement('span');
+            text.className = 'subtask-text';
+            text.textContent = sub.text;
+            text.title = 'Double-click to rename';
+            text.addEventListener('dblclick', () => {
+                const next = prompt('Rename subtask', sub.text);
+                if (!next || !next.trim()) return;
+                mutateTask(secId, t.id, `rename subtask ${quote(sub.text)}`,
+                    task => { const x = task.subtasks.find(y => y.id === sub.id); if (!x) return false; x.text = next.trim(); });
+            });
+
+            const del = document.createElement('button');
+            del.type = 'button';
+            del.className = 'small subtask-delete';
+            del.title = 'Remove subtask';
+            del.textContent = '✕';
+            del.addEventListener('click', () => mutateTask(secId, t.id, `delete subtask ${quote(sub.text)}`,
+                task => { task.subtasks = task.subtasks.filter(y => y.id !== sub.id); }));
+
+            item.append(cb, text, del);
+            item.addEventListener('dragstart', subtaskDragStart);
+            item.addEventListener('dragover', subtaskDragOver);
+            item.addEventListener('drop', subtaskDrop);
+            item.addEventListener('dragend', subtaskDragEnd);
+            list.appendChild(item);
+        });
+
+        const input = addRow.querySelector('.subtask-input');
+        input.addEventListener('keydown', async (ev) => {
+            if (ev.key === 'Escape') { input.value = ''; if (!subs.length) addRow.classList.add('hidden'); return; }
+            if (ev.key !== 'Enter') return;
+            const text = input.value.trim();
+            if (!text) return;
+            const ok = await mutateTask(secId, t.id, `add subtask ${quote(text)}`, task => { task.subtasks.push(makeSubtask(text)); });
+            // keep typing: focus the fresh input of the same task after re-render
+            const again = ok && document.querySelector(`li[data-task-id="${t.id}"] .subtask-input`);
+            if (again) again.focus();
+        });
+    }
+
+    // drag handlers stop propagation so the task/section drag machinery never sees subtask drags
+    let draggingSubtask = null;
+    function subtaskDragStart(e) {
+        e.stopPropagation();
+        const taskLi = this.closest('li[data-task-id]');
+        draggingSubtask = { secId: taskLi.dataset.secId, taskId: taskLi.dataset.taskId, subId: this.dataset.subId };
+        this.classList.add('dragging');
+        e.dataTransfer.effectAllowed = 'move';
+    }
+    function subtaskDragOver(e) {
+        if (!draggingSubtask) return;
+        e.preventDefault(); e.stopPropagation();
+        e.dataTransfer.dropEffect = 'move';
+    }
+    function subtaskDrop(e) {
+        if (!draggingSubtask) return;
+        e.preventDefault(); e.stopPropagation();
+        const from = draggingSubtask;
+        const taskLi = this.closest('li[data-task-id]');
+        const toSubId = this.dataset.subId;
+        draggingSubtask = null;
+        if (!taskLi || taskLi.dataset.taskId !== from.taskId || toSubId === from.subId) return;
+        mutateTask(from.secId, from.taskId, 'reorder subtasks', task => {
+            const fromIdx = task.subtasks.findIndex(x => x.id === from.subId);
+            const toIdx = task.subtasks.findIndex(x => x.id === toSubId);
+            if (fromIdx === -1 || toIdx === -1) return false;
+            const [moved] = task.subtasks.splice(fromIdx, 1);
+            task.subtasks.splice(toIdx, 0, moved);
+        });
+    }
+    function subtaskDragEnd(e) { e.stopPropagation(); this.classList.remove('dragging'); draggingSubtask = null; }
+
+    // Small pills under the task title — section (board cards), status, priority, due date, assignee, tags
+    function renderTaskChips(container, t, section = {}, opts = {}) {
+        container.innerHTML = '';
+        const add = (text, cls, title) => {
+            const chip = document.createElement('span');
+            chip.className = `chip ${cls}`;
+            chip.textContent = text;
+            if (title) chip.title = title;
+            container.appendChild(chip);
+        };
+        if (opts.showSection) {
+            const chip = document.createElement('span');
+            chip.className = 'chip card-section';
+            chip.textContent = section.title || 'Untitled';
+            chip.style.borderColor = section.color || '#888';
+            chip.title = 'Section';
+            container.appendChild(chip);
+        }
+        if (t.status === 'doing' || t.status === 'blocked') add(STATUSES.find(x => x.id === t.status).label, `status status-${t.status}`, 'Status');
+        if (t.priority) add(t.priority, `prio prio-${t.priority.toLowerCase()}`, 'Priority');
+        if (t.due) {
+            const state = dueState(t.due, t.done);
+            add(`📅 ${formatDateHuman(t.due)}`, `due ${state}`.trim(), state ? `Due date — ${describeDue(t.due)}` : 'Due date');
+        }
+        if (t.recur) {
+            const last = (t.completions || [])[t.completions.length - 1];
+            add(`🔁 ${describeRecur(t.recur)}`, 'recur', `Done ${t.completions.length}×${last ? `, last ${formatDateHuman(last.at)}` : ''}`);
+        }
+        if (t.assignee) add(`@${t.assignee}`, 'assignee', 'Assignee');
+        (t.tags || []).forEach(tag => add(`#${tag}`, 'task-tag', 'Tag'));
+        if ((t.subtasks || []).length) add(`☑ ${t.subtasks.filter(x => x.done).length}/${t.subtasks.length}`, 'subtask-count', 'Subtasks done');
+        if (taskTimeMs(t)) add(`⏱ ${formatDuration(taskTimeMs(t))}`, 'time', `Time logged (${(t.time || []).length} entr${(t.time || []).length === 1 ? 'y' : 'ies'})`);
+        container.classList.toggle('hidden', !container.children.length);
+    }
+
+    function sectionMatchesFilter(section, filter) {
+        if (!filter || filter.startsWith('saved:')) return true;
+        const fLower = filter.toLowerCase();
+        const tagMatch = (section.tag || '').toLowerCase() === fLower;
+        const titleMatch = (section.title || '').toLowerCase().includes(fLower);
+        return tagMatch || titleMatch;
+    }
+
+    /* -------------------------
+       Search query language
+       - words and "exact phrases" match task text, description, assignee, tags and the section title / tag
+       - field terms: tag:infra  is:open|done|todo|doing|blocked|overdue|recurring  due:<7d|>2w|today|overdue|none|2026-01-31
+         has:desc|due|subtasks|tags|assignee|recur  prio:P1  @alice (assignee:)  section:infra (in:)
+       - prefix any term with - to exclude it: -backup  -is:done
+       ------------------------- */
+    const QUERY_FIELDS = ['tag', 'is', 'due', 'has', 'prio', 'priority', 'assignee', 'section', 'in'];
+
+    function escapeRegExp(s) { return String(s).replace(/[.*+?^${}()|[\]\\]/g, '\\$&'); }
+
+    // → { terms: [{ neg, field, value }], highlight: RegExp | null }
+    function parseQuery(input) {
+        const terms = [];
+        const re = /(-)?(?:([a-z]+):)?(?:"([^"]*)"?|(\S+))/gi;
+        let m;
+        while ((m = re.exec(String(input || '')))) {
+            let field = (m[2] || '').toLowerCase();
+            let value = (m[3] !== undefined ? m[3] : m[4]).trim().toLowerCase();
+            if (!field && value.length > 1 && value.startsWith('@')) { field = 'assignee'; value = value.slice(1); }
+            // not one of ours (e.g. a pasted URL) → plain text
+            if (field && !QUERY_FIELDS.includes(field)) { value = `${field}:${value}`; field = ''; }
+            if (value) terms.push({ neg: !!m[1], field, value });
+        }
+        const words = terms.filter(t => !t.neg && !t.field).map(t => escapeRegExp(t.value));
+        return { terms, highlight: words.length ? new RegExp(words.join('|'), 'gi') : null };
+    }
+
+    function matchDue(v, t) {
+        const today = dateKey(todayDate());
+        if (v === 'none') return !t.due;
+        if (!t.due) return false;
+        if (v === 'today') return t.due === today;
+        if (v === 'overdue') return !t.done && t.due < today;
+        const m = v.match(/^(<=|>=|<|>|=)?(?:(\d+)([dw])|(\d{4}-\d{2}-\d{2}))$/);
+        if (!m) return false;
+        const target = m[4] || dateKey(addDays(todayDate(), Number(m[2]) * (m[3] === 'w' ? 7 : 1)));
+        switch (m[1]) {
+            case '<': return t.due < target;
+            case '<=': return t.due <= target;
+            case '>': return t.due > target;
+            case '>=': return t.due >= target;
+            default: return t.due === target;
+        }
+    }
+
+    function matchTerm(term, t, section) {
+        const v = term.value;
+        switch (term.field) {
+            case 'tag': {
+                const tag = v.replace(/^#/, '');
+                return (t.tags || []).some(x => x.toLowerCase() === tag) || (section.tag || '').toLowerCase() === tag;
+            }
+            case 'is':
+                if (v === 'open') return !t.done;
+                if (v === 'done' || v === 'closed') return !!t.done;
+                if (v === 'overdue') return matchDue('overdue', t);
+                if (v === 'recurring') return !!t.recur;
+                return t.status === v;
+            case 'due': return matchDue(v, t);
+            case 'has':
+                if (v === 'desc' || v === 'description') return !!(t.desc || '').trim();
+                if (v === 'subtasks') return !!(t.subtasks || []).length;
+                if (v === 'tags') return !!(t.tags || []).length;
+                if (v === 'recur') return !!t.recur;
+                if (v === 'prio') return !!t.priority;
+                return !!t[v];
+            case 'prio':
+            case 'priority': return (t.priority || '').toLowerCase() === v;
+            case 'assignee': return (t.assignee || '').toLowerCase().includes(v);
+            case 'section':
+            case 'in': return (section.title || '').toLowerCase().includes(v) || (section.tag || '').toLowerCase() === v;
+            default: {
+                const hay = [t.text, t.desc, t.assignee, ...(t.tags || []), section.title, section.tag].join('\n').toLowerCase();
+                return hay.includes(v);
+            }
+        }
+    }
+
+    function matchTask(query, t, section) {
+        return query.terms.every(term => matchTerm(term, t, section) !== term.neg);
+    }
+
+    // Wrap matches of `re` in <mark> inside every text node under root
+    function highlightIn(root, re) {
+        const walker = document.createTreeWalker(root, NodeFilter.SHOW_TEXT);
+        const nodes = [];
+        while (walker.nextNode()) nodes.push(walker.currentNode);
+        nodes.forEach(node => {
+            const text = node.nodeValue;
+            re.lastIndex = 0;
+            if (node.parentElement.closest('.md-copy') || !re.test(text)) return;
+            const frag = document.createDocumentFragment();
+            let last = 0;
+            text.replace(re, (match, offset) => {
+                frag.append(text.slice(last, offset));
+                const mark = document.createElement('mark');
+                mark.textContent = match;
+                frag.append(mark);
+                last = offset + match.length;
+                return match;
+            });
+            frag.append(text.slice(last));
+            node.replaceWith(frag);
+        });
+    }
+
+    /* -------------------------
+       Board view (Kanban) — one column per status, cards from every section
+       ------------------------- */
+    let currentView = VIEWS.includes(localStorage.getItem(VIEW_KEY)) ? localStorage.getItem(VIEW_KEY) : 'list';
+
+    function setView(view) {
+        currentView = VIEWS.includes(view) ? view : 'list';
+        localStorage.setItem(VIEW_KEY, currentView);
+        document.querySelectorAll('.view-switch [data-view]').forEach(btn => {
+            btn.setAttribute('aria-pressed', String(btn.dataset.view === currentView));
+        });
+        document.body.classList.toggle('board-view', currentView === 'board');
+        document.body.classList.toggle('stats-view', currentView === 'stats');
+        renderAll();
+    }
+
+    function renderBoard(sections, { query = null, filter = '' } = {}) {
+        const searching = !!(query && query.terms.length);
+        const board = document.createElement('div');
+        board.className = 'kanban';
+        const visible = sections.filter(s => sectionMatchesFilter(s, filter));
+        STATUSES.forEach(st => {
+            const col = document.createElement('section');
+            col.className = 'kanban-column';
+            col.dataset.status = st.id;
+            col.innerHTML = `<header class="kanban-header"><h2>${escapeHtml(st.label)}</h2><span class="count"></span></header><ul class="tasks kanban-list"></ul>`;
+            const ul = col.querySelector('ul');
+            visible.forEach(s => {
+                s.tasks
+                    .filter(t => t.status === st.id && (!searching || matchTask(query, t, s)))
+                    .forEach(t => ul.appendChild(renderTaskItem(s, t, { showSection: true, highlight: searching && query.highlight })));
+            });
+            col.querySelector('.count').textContent = String(ul.children.length);
+            board.appendChild(col);
+        });
+        dynamicContainer.appendChild(board);
+    }
+
+    /* -------------------------
+       Due dates — overdue / due-soon flags, the "Due soon" summary and reminders
+       - a due date means DUE_HOUR local time on that day; reminders fire `leadHours` before it
+       - Notifications API when allowed, toast() otherwise; snoozes and fired reminders live in REMINDER_KEY
+       ------------------------- */
+    const REMINDER_LEADS = [[1, '1 hour'], [3, '3 hours'], [24, '1 day'], [48, '2 days'], [168, '1 week']];
+
+    function readReminderSettings() {
+        let s = {};
+        try { s = JSON.parse(localStorage.getItem(REMINDER_KEY)) || {}; } catch { }
+        const soonDays = Math.floor(Number(s.soonDays));
+        return {
+            notify: !!s.notify,
+            leadHours: REMINDER_LEADS.some(([h]) => h === s.leadHours) ? s.leadHours : 24,
+            soonDays: soonDays >= 0 && soonDays <= 60 ? soonDays : DUE_SOON_DAYS,
+            snoozed: s.snoozed && typeof s.snoozed === 'object' ? s.snoozed : {},
+            fired: s.fired && typeof s.fired === 'object' ? s.fired : {}
+        };
+    }
+
+    function writeReminderSettings(patch) {
+        localStorage.setItem(REMINDER_KEY, JSON.stringify({ ...readReminderSettings(), ...patch }));
+    }
+
+    // 'overdue' | 'soon' | '' — done work is never flagged
+    function dueState(due, done = false) {
+        if (!due || done) return '';
+        const today = dateKey(todayDate());
+        if (due < today) return 'overdue';
+        return due <= dateKey(addDays(todayDate(), readReminderSettings().soonDays)) ? 'soon' : '';
+    }
+
+    function dueMoment(due) {
+        const d = parseDateKey(due);
+        d.setHours(DUE_HOUR);
+        return d;
+    }
+
+    // Open tasks and sections with a due date that is past or inside the due-soon window, overdue first
+    function collectDue(sections) {
+        const items = [];
+        sections.forEach(s => {
+            const open = s.tasks.filter(t => !t.done).length;
+            const state = open ? dueState(s.due) : '';
+            if (state) items.push({ key: `${boardsIndex.active}:section:${s.id}:${s.due}`, kind: 'section', state, due: s.due, section: s, text: s.title, open });
+            s.tasks.forEach(t => {
+                const ts = dueState(t.due, t.done);
+                if (ts) items.push({ key: `${boardsIndex.active}:${t.id}:${t.due}`, kind: 'task', state: ts, due: t.due, section: s, task: t, text: t.text });
+            });
+        });
+        return items.sort((a, b) => a.due.localeCompare(b.due));
+    }
+
+    function describeDue(due) {
+        const days = Math.round((parseDateKey(due) - todayDate()) / 86400000);
+        if (days < 0) return `${-days} day${days === -1 ? '' : 's'} overdue`;
+        if (days === 0) return 'due today';
+        if (days === 1) return 'due tomorrow';
+        return `due in ${days} days`;
+    }
+
+    // the reminder already fired once — forget that so checkReminders() fires it again when the snooze ends
+    function snoozeReminder(key, hours) {
+        const { snoozed, fired } = readReminderSettings();
+        const unfired = { ...fired };
+        delete unfired[key];
+        writeReminderSettings({ snoozed: { ...snoozed, [key]: new Date(Date.now() + hours * 3600000).toISOString() }, fired: unfired });
+    }
+
+    function revealDueItem(item) {
+        const node = item.task
+            ? document.querySelector(`li[data-task-id="${item.task.id}"]`)
+            : document.querySelector(`section[data-id="${item.section.id}"]`);
+        if (!node) { toast('Not visible — clear the search or filter'); return; }
+        node.scrollIntoView({ behavior: 'smooth', block: 'center' });
+        node.classList.add('flash');
+        setTimeout(() => node.classList.remove('flash'), 1600);
+    }
+
+    function renderDueSummary(sections) {
+        const items = collectDue(sections);
+        if (!items.length) return;
+        const overdue = items.filter(i => i.state === 'overdue').length;
+        const box = document.createElement('div');
+        box.className = 'due-summary';
+        box.innerHTML = `
+      <header>
+        <h2>⏰ Due soon</h2>
+        <span class="due-counts">${overdue ? `<b class="overdue">${overdue} overdue</b> • ` : ''}${items.length - overdue} due in the next ${readReminderSettings().soonDays} days</span>
+        <button class="small due-settings" type="button" title="Reminder settings">🔔</button>
+      </header>
+      <ul>${items.slice(0, DUE_SUMMARY_LIMIT).map((item, i) => `
+        <li class="${item.state === 'overdue' ? 'overdue' : 'due-soon'}">
+          <button class="due-item" type="button" data-idx="${i}">${item.kind === 'section' ? '🧱 ' : ''}${escapeHtml(item.text)}</button>
+          <span class="due-when">${escapeHtml(describeDue(item.due))}${item.kind === 'task' ? ` • ${escapeHtml(item.section.title)}` : ` • ${item.open} open`}</span>
+        </li>`).join('')}${items.length > DUE_SUMMARY_LIMIT ? `<li class="hint">… ${items.length - DUE_SUMMARY_LIMIT} more — search <code>due:&lt;${readReminderSettings().soonDays + 1}d</code></li>` : ''}</ul>`;
+        box.querySelector('.due-settings').addEventListener('click', openReminderSettings);
+        box.querySelectorAll('.due-item').forEach(btn => btn.addEventListener('click', () => revealDueItem(items[Number(btn.dataset.idx)])));
+        dynamicContainer.appendChild(box);
+    }
+
+    function openReminderModal(item) {
+        const html = `
+      <h3>⏰ ${escapeHtml(item.text)}</h3>
+      <p style="color:var(--muted)">${escapeHtml(describeDue(item.due))} — ${escapeHtml(formatDateHuman(item.due))}${item.kind === 'task' ? ` • ${escapeHtml(item.section.title)}` : ''}</p>
+      <div style="display:flex;gap:8px;justify-content:flex-end;flex-wrap:wrap;margin-top:14px">
+        <button id="mm-snooze-1" class="small">💤 1 hour</button>
+        <button id="mm-snooze-24" class="small">💤 Tomorrow</button>
+        ${item.kind === 'task' ? '<button id="mm-done" class="pill">✅ Mark done</button>' : ''}
+        <button id="mm-show" class="pill">Show</button>
+      </div>
+    `;
+        mm.open(html, ({ container, close }) => {
+            [1, 24].forEach(h => container.querySelector(`#mm-snooze-${h}`).addEventListener('click', () => {
+                snoozeReminder(item.key, h);
+                close();
+                toast(`Snoozed for ${h === 1 ? 'an hour' : 'a day'}`);
+            }));
+            container.querySelector('#mm-show').addEventListener('click', () => { close(); revealDueItem(item); });
+            const doneBtn = container.querySelector('#mm-done');
+            if (doneBtn) doneBtn.addEventListener('click', async () => {
+                close();
+                const data = await loadData();
+                const task = (data.find(s => s.id === item.section.id)?.tasks || []).find(t => t.id === item.task.id);
+                if (!task) return;
+                setTaskStatus(task, 'done');
+                await saveData(data, { label: `complete task ${quote(task.text)}` });
+                renderAll();
+            });
+        });
+    }
+
+    function fireReminder(item) {
+        const title = `⏰ ${item.text}`;
+        const body = `${describeDue(item.due)}${item.kind === 'task' ? ` — ${item.section.title}` : ` — ${item.open} open task${item.open === 1 ? '' : 's'}`}`;
+        if ('Notification' in window && Notification.permission === 'granted') {
+            try {
+                const n = new Notification(title, { body, tag: item.key });
+                n.onclick = () => { window.focus(); n.close(); openReminderModal(item); };
+                return;
+            } catch (err) {
+                log('Notification failed, falling back to toast', err);
+            }
+        }
+        toast(`${title} — ${body}`, 10000, { label: '💤 Snooze…', run: () => openReminderModal(item) });
+    }
+
+    function checkReminders() {
+        const settings = readReminderSettings();
+        if (!settings.notify) return;
+        const now = Date.now();
+        const fired = { ...settings.fired };
+        let changed = false;
+        collectDue(readSections()).forEach(item => {
+            if (fired[item.key]) return;
+            if (now < dueMoment(item.due).getTime() - settings.leadHours * 3600000) return;
+            const until = settings.snoozed[item.key];
+            if (until && new Date(until).getTime() > now) return;
+            fired[item.key] = nowISO();
+            changed = true;
+            fireReminder(item);
+        });
+        // forget reminders for dates long gone so the map doesn't grow forever
+        const cutoff = dateKey(addDays(todayDate(), -30));
+        Object.keys(fired).forEach(k => { if (k.slice(-10) < cutoff) { delete fired[k]; changed = true; } });
+        if (changed) writeReminderSettings({ fired });
+    }
+
+    function openReminderSettings() {
+        const s = readReminderSettings();
+        const supported = 'Notification' in window;
+        const permission = supported ? Notification.permission : 'unsupported';
+        const html = `
+      <h3>🔔 Reminders</h3>
+      <label style="display:block;margin:8px 0"><input type="checkbox" id="mm-notify"${s.notify ? ' checked' : ''} /> Remind me before tasks and sections are due (while this tab is open)</label>
+      <label style="display:flex;gap:8px;align-items:center;margin:8px 0">Remind
+        <select id="mm-lead" class="inline-input" style="width:auto">${REMINDER_LEADS.map(([h, label]) => `<option value="${h}"${h === s.leadHours ? ' selected' : ''}>${label}</option>`).join('')}</select>
+        before ${DUE_HOUR}:00 on the due date</label>
+      <label style="display:flex;gap:8px;align-items:center;margin:8px 0">"Due soon" means within
+        <input id="mm-soon" type="number" min="0" max="60" class="inline-input" style="width:5em" value="${s.soonDays}" /> days</label>
+      <p style="color:var(--muted)">Browser notifications: <b id="mm-permission">${escapeHtml(permission)}</b>${permission === 'granted' ? '' : ' — reminders show as in-app toasts instead.'}</p>
+      <div style="display:flex;gap:8px;justify-content:flex-end;margin-top:14px">
+        ${supported && permission === 'default' ? '<button id="mm-allow" class="small">Allow notifications</button>' : ''}
+        <button id="mm-cancel" class="small">Cancel</button>
+        <button id="mm-save" class="pill">Save</button>
+      </div>
+    `;
+        mm.open(html, ({ container, close }) => {
+            const allow = container.querySelector('#mm-allow');
+            if (allow) allow.addEventListener('click', async () => {
+                const result = await Notification.requestPermission();
+                container.querySelector('#mm-permission').textContent = result;
+                allow.remove();
+            });
+            container.querySelector('#mm-cancel').addEventListener('click', close);
+            container.querySelector('#mm-save').addEventListener('click', async () => {
+                const notify = container.querySelector('#mm-notify').checked;
+                writeReminderSettings({
+                    notify,
+                    leadHours: Number(container.querySelector('#mm-lead').value),
+                    soonDays: Math.min(60, Math.max(0, Math.floor(Number(container.querySelector('#mm-soon').value)) || 0))
+                });
+                if (notify && supported && Notification.permission === 'default') await Notification.requestPermission();
+                close();
+                renderAll();
+                toast('Reminder settings saved');
+                checkReminders();
+            });
+        });
+    }
+
+    /* -------------------------
+       Stats view — hand-drawn SVG charts (no libraries, works offline)
+       - completions and time to complete come from the tasks themselves (`doneAt`, recurring `completions`, `created`)
+       - burndown replays the activity log backwards from today's open count
+       ------------------------- */
+    const STATS_DAYS = 30;
+    const STATS_WEEKS = 12;
+    let statsRange = 'day'; // 'day' | 'week'
+    let statsSection = '';
+
+    function startOfWeek(d) { return addDays(d, -((d.getDay() + 6) % 7)); } // Monday
+
+    function formatSpan(ms) {
+        const days = ms / 86400000;
+        return days >= 1 ? `${days.toFixed(1)} days` : formatDuration(ms);
+    }
+
+    // every completion still on the board: checked-off tasks plus each finished occurrence of a recurring one
+    function completionTimes(sections) {
+        return sections.flatMap(s => s.tasks.flatMap(t => [...(t.completions || []).map(c => c.at), ...(t.done && t.doneAt ? [t.doneAt] : [])]));
+    }
+
+    function completionSeries(times, range) {
+        const today = todayDate();
+        const buckets = range === 'week'
+            ? Array.from({ length: STATS_WEEKS }, (_, i) => addDays(startOfWeek(today), (i - STATS_WEEKS + 1) * 7))
+            : Array.from({ length: STATS_DAYS }, (_, i) => addDays(today, i - STATS_DAYS + 1));
+        const counts = buckets.map(() => 0);
+        times.forEach(iso => {
+            const at = new Date(iso);
+            const day = new Date(at.getFullYear(), at.getMonth(), at.getDate());
+            const key = dateKey(range === 'week' ? startOfWeek(day) : day);
+            const i = buckets.findIndex(b => dateKey(b) === key);
+            if (i >= 0) counts[i]++;
+        });
+        return buckets.map((b, i) => ({
+            label: range === 'week' ? `${b.getMonth() + 1}/${b.getDate()}` : String(b.getDate()),
+            title: range === 'week' ? `Week of ${b.toLocaleDateString()}` : b.toLocaleDateString(),
+            value: counts[i]
+        }));
+    }
+
+    // Open tasks at the end of each day, newest events undone first
+    function burndownSeries(section, log, from, to) {
+        let open = section.tasks.filter(t => !t.done).length;
+        const events = log.filter(e => (e.section && e.section.id === section.id) || (e.kind === 'task.move' && e.before && e.before.sectionId === section.id)).reverse();
+        const undoEvent = (e) => {
+            const inHere = e.section && e.section.id === section.id;
+            if (e.kind === 'task.add' && inHere) open--;
+            else if (e.kind === 'task.delete' && inHere && !(e.before && e.before.done)) open++;
+            else if (e.kind === 'task.complete' && inHere && e.after && e.after.done) open++;
+            else if (e.kind === 'task.reopen' && inHere) open--;
+            else if (e.kind === 'task.move' && e.before && e.before.sectionId && !(e.after && e.after.done)) {
+                if (inHere && e.before.sectionId !== section.id) open--;
+                else if (!inHere) open++;
+            }
+            open = Math.max(0, open);
+        };
+        const points = [];
+        let k = 0;
+        for (let d = parseDateKey(to); d >= parseDateKey(from); d = addDays(d, -1)) {
+            const end = addDays(d, 1).getTime();
+            while (k < events.length && new Date(events[k].at).getTime() >= end) undoEvent(events[k++]);
+            points.unshift({ day: dateKey(d), value: open });
+        }
+        return points;
+    }
+
+    function svgBarChart(series, { width = 560, height = 180 } = {}) {
+        const pad = { l: 28, r: 8, t: 10, b: 22 };
+        const max = Math.max(1, ...series.map(p => p.value));
+        const w = (width - pad.l - pad.r) / series.length;
+        const y = (v) => pad.t + (height - pad.t - pad.b) * (1 - v / max);
+        const every = Math.ceil(series.length / 12);
+        return `<svg class="chart" viewBox="0 0 ${width} ${height}" role="img" aria-label="Bar chart">
+          <line class="chart-axis" x1="${pad.l}" x2="${width - pad.r}" y1="${y(0)}" y2="${y(0)}" />
+          <text class="chart-label" x="${pad.l - 4}" y="${y(max) + 4}" text-anchor="end">${max}</text>
+          ${series.map((p, i) => `
+            <rect class="chart-bar" x="${(pad.l + i * w + 2).toFixed(1)}" y="${y(p.value).toFixed(1)}" width="${Math.max(1, w - 4).toFixed(1)}" height="${(y(0) - y(p.value)).toFixed(1)}"><title>${escapeHtml(p.title)}: ${p.value}</title></rect>
+            ${i % every === 0 ? `<text class="chart-label" x="${(pad.l + i * w + w / 2).toFixed(1)}" y="${height - 6}" text-anchor="middle">${escapeHtml(p.label)}</text>` : ''}`).join('')}
+        </svg>`;
+    }
+
+    function svgBurndown(points, due, { width = 560, height = 200 } = {}) {
+        const pad = { l: 28, r: 10, t: 10, b: 22 };
+        const max = Math.max(1, ...points.map(p => p.value));
+        const x = (i) => pad.l + (width - pad.l - pad.r) * (points.length > 1 ? i / (points.length - 1) : 0);
+        const y = (v) => pad.t + (height - pad.t - pad.b) * (1 - v / max);
+        const todayIdx = points.findIndex(p => p.day === dateKey(todayDate()));
+        const actual = points.slice(0, todayIdx + 1).map((p, i) => `${x(i).toFixed(1)},${y(p.value).toFixed(1)}`).join(' ');
+        const dueIdx = due ? points.findIndex(p => p.day === due) : -1;
+        const ideal = dueIdx > 0 ? `<line class="chart-ideal" x1="${x(0)}" y1="${y(points[0].value)}" x2="${x(dueIdx)}" y2="${y(0)}"><title>Ideal</title></line>` : '';
+        const dueLine = dueIdx >= 0 ? `<line class="chart-due" x1="${x(dueIdx)}" x2="${x(dueIdx)}" y1="${pad.t}" y2="${y(0)}" /><text class="chart-label" x="${x(dueIdx)}" y="${pad.t + 8}" text-anchor="end">due</text>` : '';
+        return `<svg class="chart" viewBox="0 0 ${width} ${height}" role="img" aria-label="Burndown chart">
+          <line class="chart-axis" x1="${pad.l}" x2="${width - pad.r}" y1="${y(0)}" y2="${y(0)}" />
+          <text class="chart-label" x="${pad.l - 4}" y="${y(max) + 4}" text-anchor="end">${max}</text>
+          ${ideal}${dueLine}
+          <polyline class="chart-line" points="${actual}" />
+          ${points.slice(0, todayIdx + 1).map((p, i) => `<circle class="chart-dot" cx="${x(i).toFixed(1)}" cy="${y(p.value).toFixed(1)}" r="2.5"><title>${escapeHtml(formatDateHuman(p.day))}: ${p.value} open</title></circle>`).join('')}
+          <text class="chart-label" x="${pad.l}" y="${height - 6}">${escapeHtml(formatDateHuman(points[0].day))}</text>
+          <text class="chart-label" x="${width - pad.r}" y="${height - 6}" text-anchor="end">${escapeHtml(formatDateHuman(points[points.length - 1].day))}</text>
+        </svg>`;
+    }
+
+    function svgSplitBars(rows, { width = 560 } = {}) {
+        const rowH = 22, labelW = 110;
+        const max = Math.max(1, ...rows.map(r => r.done + r.open));
+        const scale = (v) => (width - labelW - 60) * v / max;
+        return `<svg class="chart" viewBox="0 0 ${width} ${rows.length * rowH + 4}" role="img" aria-label="Completion by tag">
+          ${rows.map((r, i) => `
+            <text class="chart-label" x="${labelW - 6}" y="${i * rowH + 15}" text-anchor="end">#${escapeHtml(r.tag)}</text>
+            <rect class="chart-bar done" x="${labelW}" y="${i * rowH + 4}" width="${scale(r.done).toFixed(1)}" height="14"><title>${r.done} done</title></rect>
+            <rect class="chart-bar open" x="${(labelW + scale(r.done)).toFixed(1)}" y="${i * rowH + 4}" width="${scale(r.open).toFixed(1)}" height="14"><title>${r.open} open</title></rect>
+            <text class="chart-label" x="${(labelW + scale(r.done + r.open) + 6).toFixed(1)}" y="${i * rowH + 15}">${Math.round(r.done / (r.done + r.open) * 100)}%</text>`).join('')}
+        </svg>`;
+    }
+
+    function renderStats(sections) {
+        const log = readActivity();
+        const today = dateKey(todayDate());
+        const tasks = sections.flatMap(s => s.tasks.map(t => ({ t, s })));
+        const overdueTasks = tasks.filter(({ t }) => !t.done && t.due && t.due < today);
+        const overdueSections = sections.filter(s => s.due && s.due < today && s.tasks.some(t => !t.done));
+        const fromLog = taskTimestamps(log);
+        const spans = tasks.map(({ t }) => taskTimes(t, fromLog))
+            .filter(x => x.created && x.completed)
+            .map(x => new Date(x.completed) - new Date(x.created))
+            .filter(ms => ms >= 0);
+        const completed = completionTimes(sections);
+        const weekAgo = Date.now() - 7 * 86400000;
+        const doneThisWeek = completed.filter(at => new Date(at).getTime() >= weekAgo).length;
+
+        const tagRows = new Map();
+        tasks.forEach(({ t }) => t.tags.forEach(tag => {
+            const row = tagRows.get(tag) || { tag, done: 0, open: 0 };
+            row[t.done ? 'done' : 'open']++;
+            tagRows.set(tag, row);
+        }));
+        const tags = [...tagRows.values()].sort((a, b) => (b.done + b.open) - (a.done + a.open)).slice(0, 12);
+
+        if (!sections.some(s => s.id === statsSection)) statsSection = (sections.find(s => s.due) || sections[0] || {}).id || '';
+        const section = sections.find(s => s.id === statsSection);
+        let burndown = '<p class="hint">No sections yet.</p>';
+        if (section) {
+            const firstSeen = log.find(e => e.section && e.section.id === section.id);
+            const start = firstSeen ? dateKey(new Date(firstSeen.at)) : dateKey(addDays(todayDate(), -14));
+            const from = [start, dateKey(addDays(todayDate(), -60))].sort()[1];
+            const to = [today, section.due || today].sort()[1];
+            burndown = svgBurndown(burndownSeries(section, log, from, to), section.due)
+                + (section.due ? '' : '<p class="hint">Give this section a due date to see the ideal line.</p>');
+        }
+        const tile = (value, label, cls = '') => `<div class="stat-tile ${cls}"><b>${value}</b><span>${label}</span></div>`;
+
+        const root = document.createElement('div');
+        root.className = 'stats';
+        root.innerHTML = `
+      <div class="stat-tiles">
+        ${tile(tasks.filter(({ t }) => !t.done).length, 'open tasks')}
+        ${tile(doneThisWeek, 'completed in 7 days')}
+        ${tile(overdueTasks.length, 'overdue tasks', overdueTasks.length ? 'bad' : '')}
+        ${tile(overdueSections.length, 'overdue sections', overdueSections.length ? 'bad' : '')}
+        ${tile(spans.length ? formatSpan(spans.reduce((a, b) => a + b, 0) / spans.length) : '—', `avg time to complete${spans.length ? ` (${spans.length})` : ''}`)}
+      </div>
+      <div class="stat-card">
+        <header><h3>✅ Completed per ${statsRange}</h3>
+          <div class="view-switch" role="group" aria-label="Range">
+            <button class="pill" data-range="day" aria-pressed="${statsRange === 'day'}">Days</button>
+            <button class="pill" data-range="week" aria-pressed="${statsRange === 'week'}">Weeks</button>
+          </div>
+        </header>
+        ${svgBarChart(completionSeries(completed, statsRange))}
+      </div>
+      <div class="stat-card">
+        <header><h3>📉 Burndown</h3>
+          <select class="inline-input stats-section" style="width:auto">${sections.map(s => `<option value="${escapeHtml(s.id)}"${s.id === statsSection ? ' selected' : ''}>${escapeHtml(s.title)}${s.due ? ` — due ${escapeHtml(formatDateHuman(s.due))}` : ''}</option>`).join('')}</select>
+        </header>
+        ${burndown}
+      </div>
+      <div class="stat-card">
+        <header><h3>⏰ Overdue</h3></header>
+        ${overdueTasks.length ? svgBarChart(sections.map(s => ({ label: s.title.slice(0, 10), title: s.title, value: overdueTasks.filter(x => x.s === s).length })).filter(p => p.value)) : '<p class="hint">Nothing overdue 🎉</p>'}
+      </div>
+      <div class="stat-card">
+        <header><h3>🏷️ Completion by tag</h3></header>
+        ${tags.length ? svgSplitBars(tags) : '<p class="hint">No tagged tasks yet.</p>'}
+      </div>`;
+        root.querySelectorAll('[data-range]').forEach(btn => btn.addEventListener('click', () => { statsRange = btn.dataset.range; renderAll(); }));
+        root.querySelector('.stats-section').addEventListener('change', (e) => { statsSection = e.target.value; renderAll(); });
+        dynamicContainer.appendChild(root);
+    }
+
+    // One task row (list view) or card (board view), with all of its handlers
+    function renderTaskItem(section, t, opts = {}) {
+        const tnode = taskTemplate ? taskTemplate.content.cloneNode(true) : null;
+        const li = tnode ? tnode.querySelector('li') : document.createElement('li');
+
+        li.dataset.taskId = t.id;
+        li.dataset.secId = section.id;
+
+        // main row
+        const taskMain = li.querySelector('.task-main') || document.createElement('div');
+        taskMain.className = 'task-main';
+
+        // left
+        const left = taskMain.querySelector('.task-left') || document.createElement('div');
+        left.className = 'task-left';
+
+        // checkbox
+        let cb = left.querySelector('input[type="checkbox"]');
+        if (!cb) {
+            cb = document.createElement('input'); cb.type = 'checkbox';
+            left.insertBefore(cb, left.firstChild);
+        }
+        cb.checked = !!t.done;
+        cb.setAttribute('aria-label', t.text || 'Task');
+
+        // label
+        let label = left.querySelector('label');
+        if (!label) { label = document.createElement('label'); left.appendChild(label); }
+        label.textContent = t.text || '';
+        label.title = 'Double-click to edit';
+
+        // metadata chips (priority, due, assignee, tags)
+        const chips = left.querySelector('.task-chips');
+        if (chips) renderTaskChips(chips, t, section, opts);
+
+        // nested checklist
+        renderSubtasks(li, section.id, t);
+
+
+        // actions
+        const actions = taskMain.querySelector('.task-actions') || document.createElement('div');
+        actions.className = 'task-actions';
+
+        let timerBtn = actions.querySelector('.timer-toggle');
+        if (!timerBtn) {
+            timerBtn = document.createElement('button');
+            timerBtn.className = 'small timer-toggle';
+            timerBtn.type = 'button';
+            actions.insertBefore(timerBtn, actions.firstChild);
+        }
+        const timer = readTimer();
+        const timing = !!timer && timer.board === boardsIndex.active && timer.taskId === t.id;
+        timerBtn.classList.toggle('running', timing);
+        timerBtn.textContent = timing ? '⏹' : '⏱';
+        timerBtn.title = timing ? 'Stop timer' : 'Start timer';
+
+        let editBtn = actions.querySelector('.edit-task');
+        if (!editBtn) {
+            editBtn = document.createElement('button');
+            editBtn.className = 'small edit-task';
+            editBtn.type = 'button';
+            editBtn.textContent = '✎';
+            actions.appendChild(editBtn);
+        }
+
+        let editDescBtn = actions.querySelector('.edit-desc');
+        if (!editDescBtn) {
+            editDescBtn = document.createElement('button');
+            editDescBtn.className = 'small edit-desc';
+            editDescBtn.type = 'button';
+            editDescBtn.title = 'Edit description';
+            editDescBtn.textContent = '📝';
+            actions.appendChild(editDescBtn);
+        }
+
+        let delBtn = actions.querySelector('.delete-task');
+        if (!delBtn) {
+            delBtn = document.createElement('button');
+            delBtn.className = 'small delete-task danger';
+            delBtn.type = 'button';
+            delBtn.textContent = '🗑';
+            actions.appendChild(delBtn);
+        }
+
+        // description element
+        let descBox = li.querySelector('.description');
+        if (!descBox) {
+            descBox = document.createElement('div');
+            descBox.className = 'description';
+            li.appendChild(descBox);
+        }
+        if (t.desc && String(t.desc).trim()) {
+            descBox.innerHTML = renderMarkdown(t.desc);
+            descBox.classList.add('markdown');
+            descBox.classList.remove('placeholder');
+        } else {
+            descBox.textContent = 'Add description...';
+            descBox.classList.add('placeholder');
+        }
+
+        // 🔎 search matches
+        if (opts.highlight) {
+            highlightIn(label, opts.highlight);
+            if (!descBox.classList.contains('placeholder')) highlightIn(descBox, opts.highlight);
+        }
+
+        if (cb.checked) li.classList.add('checked');
+        const taskDue = dueState(t.due, t.done);
+        if (taskDue) li.classList.add(taskDue === 'overdue' ? 'overdue' : 'due-soon');
+
+        // 📋 copy buttons on fenced code blocks
+        descBox.addEventListener('click', async (ev) => {
+            const btn = ev.target.closest('.md-copy');
+            if (!btn) return;
+            ev.stopPropagation();
+            const code = btn.parentElement.querySelector('code');
+            toast(await copyText(code ? code.textContent : '') ? 'Copied to clipboard' : 'Copy failed');
+        });
+
+        // attach
+        if (!taskMain.contains(left)) taskMain.appendChild(left);
+        if (!taskMain.contains(actions)) taskMain.appendChild(actions);
+        if (!Array.from(li.children).includes(taskMain)) li.insertBefore(taskMain, li.firstChild);
+
+        // set shared dataset info
+        [cb, label, timerBtn, editBtn, editDescBtn, delBtn].forEach(el => {
+            if (!el) return;
+            el.dataset.secId = section.id;
+            el.dataset.taskId = t.id;
+        });
+
+        /* ===============================
+           ✅ Checkbox change handler
+           Updates both local + global progress instantly
+           =============================== */
+        cb.addEventListener('change', async (ev) => {
+            const { secId, taskId } = ev.currentTarget.dataset;
+            const data = await loadData();
+            const sObj = data.find(x => x.id === secId);
+            const task = sObj && sObj.tasks.find(x => x.id === taskId);
+            if (!task) return;
+
+            // ✅ Update this task’s state
+            setTaskStatus(task, cb.checked ? 'done' : 'todo');
+            if (task.recur && cb.checked) {
+                // 🔁 recurring: logged + reset, so the row comes back unchecked with its next due date
+                await saveData(data, { label: `complete task ${quote(task.text)} (next ${task.due})` });
+                renderAll();
+                toast(`🔁 Done — next due ${formatDateHuman(task.due)}`);
+                return;
+            }
+            await saveData(data, { label: `${cb.checked ? 'complete' : 'reopen'} task ${quote(task.text)}` });
+
+            // board view: the card has to move to its new column
+            if (currentView === 'board') { renderAll(); return; }
+
+            // ✅ Update this project’s progress bar + label immediately
+            const sectionNode = document.querySelector(`section[data-id="${secId}"]`);
+            if (sectionNode) {
+                const progressBar = sectionNode.querySelector('.progress');
+                const progressLabel = sectionNode.querySelector('.progress-label');
+
+                const pct = sectionProgressPct(sObj);
+
+                if (progressBar) progressBar.style.width = `${pct}%`;
+                if (progressLabel) progressLabel.textContent = `${pct}% done`;
+            }
+
+            // ✅ Update global progress bar
+            updateGlobalProgress(true);
+        });
+
+        // 🧠 Unified click toggle for entire task (not just label)
+        li.addEventListener('click', (ev) => {
+            // Ignore clicks on checkboxes or buttons (so editing/deleting still works)
+            if (ev.target.closest('.task-actions, .subtasks, .subtask-add, .description a, .md-code') || ev.target.type === 'checkbox') return;
+
+            const descNode = li.querySelector('.description');
+            if (!descNode) return;
+
+            const { secId, taskId } = li.dataset;
+            const sec = readSections().find(s => s.id === secId);
+            const task = sec?.tasks.find(x => x.id === taskId);
+
+            // If description empty → open modal, else toggle visibility
+            if (task && (!task.desc || !task.desc.trim())) {
+                openDescModal(secId, taskId);
+            } else {
+                descNode.classList.toggle('visible');
+            }
+        });
+
+
+
+        // single click: toggle description
+        label.addEventListener('click', (ev) => {
+            ev.stopPropagation(); // the li handler would toggle it straight back
+            const liNode = ev.currentTarget.closest('li');
+            const descNode = liNode && liNode.querySelector('.description');
+            if (!descNode) return;
+
+            // If there's no text in desc, open modal (so user can add description)
+            const { secId, taskId } = ev.currentTarget.dataset;
+            const sec = readSections().find(s => s.id === secId);
+            const task = sec?.tasks.find(x => x.id === taskId);
+            if (task && (!task.desc || !task.desc.trim())) {
+                openDescModal(secId, taskId);
+            } else {
+                descNode.classList.toggle('visible');
+            }
+        });
+
+        // ⏱ start / stop (starting here stops any other running timer)
+        timerBtn.addEventListener('click', (ev) => {
+            const { secId, taskId } = ev.currentTarget.dataset;
+            if (ev.currentTarget.classList.contains('running')) stopTimer();
+            else startTimer(secId, taskId);
+        });
+
+        editBtn.addEventListener('click', async (ev) => {
+            const { secId, taskId } = ev.currentTarget.dataset;
+            const data = await loadData();
+            const sObj = data.find(x => x.id === secId);
+            const task = sObj && sObj.tasks.find(x => x.id === taskId);
+            if (!task) return;
+
+            openTaskModal(secId, taskId);
+        });
+
+
+        // 📝 Edit Description button (modern modal)
+        if (editDescBtn) {
+            editDescBtn.addEventListener('click', (ev) => {
+                const { secId, taskId } = ev.currentTarget.dataset;
+                openDescModal(secId, taskId);
+            });
+        }
+
+
+        const addSubBtn = actions.querySelector('.add-subtask');
+        if (addSubBtn) {
+            addSubBtn.addEventListener('click', () => {
+                const row = li.querySelector('.subtask-add');
+                if (!row) return;
+                row.classList.remove('hidden');
+                row.querySelector('.subtask-input').focus();
+            });
+        }
+
+        delBtn.addEventListener('click', async (ev) => {
+            const { secId, taskId } = ev.currentTarget.dataset;
+            if (!confirm('Delete task?')) return;
+            const data = await loadData();
+            const sec = data.find(s => s.id === secId);
+            const i = findTaskIndex(sec, taskId);
+            if (i === -1) return;
+            const [removed] = sec.tasks.splice(i, 1);
+            await saveData(data, { label: `delete task ${quote(removed && removed.text)}` });
+            renderAll();
+            toast('Task removed');
+        });
+
+        return li;
+    }
+
+    function renderSection(section, { query = null, filter = '' } = {}) {
+        // --- Filter logic ---
+        if (!sectionMatchesFilter(section, filter)) return;
+
+        // a search lists only the matching tasks; sections without any are hidden
+        const searching = !!(query && query.terms.length);
+        const tasks = searching ? (section.tasks || []).filter(t => matchTask(query, t, section)) : (section.tasks || []);
+        if (searching && !tasks.length) return;
+
+        // --- Create section node ---
+        const node = sectionTemplate.content.cloneNode(true);
+        const sec = node.querySelector('section');
+        sec.dataset.id = section.id;
+        sec.style.borderLeft = `6px solid ${section.color || '#888'}`;
+
+        // ✅ Collapse/expand project by clicking its title (the ▾ button is the keyboard / screen-reader control)
+        const headerLeft = sec.querySelector('.section-header .left');
+        if (headerLeft) {
+            headerLeft.addEventListener('click', (ev) => {
+                if (ev.target.closest('.section-controls, .collapse')) return;
+                setCollapsed(sec, !collapsedSections.has(section.id));
+            });
+        }
+
+        // header
+        sec.querySelector('.title').textContent = section.title || 'Untitled';
+        sec.querySelector('.tag').textContent = section.tag ? `#${section.tag}` : '';
+        sec.querySelector('.due').textContent = section.due ? `• due ${formatDateHuman(section.due)}` : '';
+        // ⏰ only flag sections that still have open work
+        const secDue = section.tasks.some(t => !t.done) ? dueState(section.due) : '';
+        if (secDue) {
+            sec.classList.add(secDue === 'overdue' ? 'overdue' : 'due-soon');
+            sec.querySelector('.due').title = describeDue(section.due);
+        }
+        const timeTotal = sec.querySelector('.time-total');
+        if (timeTotal) {
+            const ms = sectionTimeMs(section);
+            timeTotal.textContent = ms ? `⏱ ${formatDuration(ms)}` : '';
+            timeTotal.title = 'Time logged in this section';
+        }
+
+        /* =============================
+           ✅ Safe Project Progress Handling
+           ============================= */
+        const progressBar = sec.querySelector('.progress');
+        if (progressBar) {
+            const progressContainer = progressBar.closest('.progress-bar');
+
+            // ensure label exists
+            let progressLabel = sec.querySelector('.progress-label');
+            if (!progressLabel && progressContainer) {
+                progressLabel = document.createElement('div');
+                progressLabel.className = 'progress-label';
+                progressContainer.after(progressLabel);
+            }
+
+            // compute progress (subtasks count fractionally)
+            const pct = sectionProgressPct(section);
+
+            // apply visuals
+            progressBar.style.width = `${pct}%`;
+            if (progressLabel) progressLabel.textContent = `${pct}% done`;
+        }
+
+        /* ============================= */
+
+        const ul = sec.querySelector('.tasks');
+        tasks.forEach((t) => ul.appendChild(renderTaskItem(section, t, { highlight: searching && query.highlight })));
+
+        // inline add
+        const inline = sec.querySelector('.inline-input');
+        if (inline) {
+            inline.addEventListener('keydown', async (ev) => {
+                if (ev.key === 'Enter') {
+                    const text = inline.value.trim();
+                    if (!text) return;
+                    const data = await loadData(); const sObj = data.find(x => x.id === section.id);
+                    if (!sObj) return;
+                    sObj.tasks.push(makeTask(text));
+                    inline.value = '';
+                    await saveData(data, { label: `add task ${quote(text)}` });
+                    renderAll();
+                }
+            });
+        }
+
+        // header controls
+        const addTaskBtn = sec.querySelector('.add-task');
+        const editSectionBtn = sec.querySelector('.edit-section');
+        const deleteSectionBtn = sec.querySelector('.delete-section');
+        const collapseBtn = sec.querySelector('.collapse');
+        const sectionBody = sec.querySelector('.section-body');
+
+        if (addTaskBtn) addTaskBtn.addEventListener('click', async () => {
+            const q = prompt('New task');
+            if (!q) return;
+            const data = await loadData(); const sObj = data.find(x => x.id === section.id);
+            sObj.tasks.push(makeTask(q.trim()));
+            await saveData(data, { label: `add task ${quote(q)}` }); renderAll();
+        });
+
+        if (editSectionBtn) editSectionBtn.addEventListener('click', () => openEditModal(section));
+        if (deleteSectionBtn) deleteSectionBtn.addEventListener('click', async () => {
+            if (!confirm(`Delete section "${section.title}"?`)) return;
+            await backupBoard('before delete');
+            const data = await loadData();
+            const filtered = data.filter(s => s.id !== section.id);
+            await saveData(filtered, { label: `delete section ${quote(section.title)}` });
+            renderAll();
+            toast('Section deleted');
+        });
+
+        if (collapseBtn) {
+            collapseBtn.dataset.secId = section.id;
+            if (sectionBody) {
+                sectionBody.id = `section-body-${section.id}`;
+                collapseBtn.setAttribute('aria-controls', sectionBody.id);
+            }
+            collapseBtn.setAttribute('aria-label', `Collapse ${section.title || 'section'}`);
+            collapseBtn.addEventListener('click', () => setCollapsed(sec, !collapsedSections.has(section.id)));
+        }
+        setCollapsed(sec, collapsedSections.has(section.id));
+
+        const progEl = sec.querySelector('.progress');
+        if (progEl) updateProgressFor(section.id, progEl);
+
+
+        dynamicContainer.appendChild(node);
+    }
+
+    // Repaint one section in place (list view) — background updates mustn't wipe what the user is typing elsewhere
+    function rerenderSection(section) {
+        const old = dynamicContainer.querySelector(`section[data-id="${section.id}"]`);
+        if (currentView !== 'list' || !old) return false;
+        const last = dynamicContainer.lastElementChild;
+        renderSection(section, { query: parseQuery(searchInput && searchInput.value), filter: (filterSelect && filterSelect.value) || '' });
+        if (dynamicContainer.lastElementChild !== last) old.replaceWith(dynamicContainer.lastElementChild);
+        initDragAndDrop();
+        updateGlobalProgress(true);
+        return true;
+    }
+
+    // Collapsed sections are remembered for the session so re-renders keep them shut
+    const collapsedSections = new Set();
+
+    function setCollapsed(sec, collapsed) {
+        const id = sec.dataset.id;
+        if (collapsed) collapsedSections.add(id); else collapsedSections.delete(id);
+        const body = sec.querySelector('.section-body');
+        if (body) body.classList.toggle('hidden', collapsed);
+        const btn = sec.querySelector('.collapse');
+        if (btn) {
+            btn.setAttribute('aria-expanded', String(!collapsed));
+            btn.textContent = collapsed ? '▸' : '▾';
+        }
+    }
+
+    /* -------------------------
+       Progress (section + global)
+       - Global progress calculated from stored data (reliable)
+       - a task is worth 1; an open task with subtasks is worth the fraction of subtasks done
+       ------------------------- */
+    function taskProgress(t) {
+        if (t.done) return 1;
+        const subs = t.subtasks || [];
+        return subs.length ? subs.filter(x => x.done).length / subs.length : 0;
+    }
+
+    function sectionProgressPct(section) {
+        const tasks = (section && section.tasks) || [];
+        if (!tasks.length) return 0;
+        return Math.round((tasks.reduce((a, t) => a + taskProgress(t), 0) / tasks.length) * 100);
+    }
+
+    function updateProgressFor(sectionId, progressElement) {
+        const data = readSections();
+        const sec = data.find(s => s.id === sectionId);
+        if (!sec) { if (progressElement) progressElement.style.width = '0%'; return; }
+        const pct = sectionProgressPct(sec);
+        if (progressElement) progressElement.style.width = pct + '%';
+    }
+
+    // global: fromStorage=true means compute from storage rather than DOM (preferred)
+    function updateGlobalProgress(fromStorage = true) {
+        const bar = document.getElementById('global-progress-bar');
+        if (!bar) return;
+        let total = 0, done = 0;
+        if (fromStorage) {
+            const data = readSections();
+            const all = (data || []).flatMap(s => s.tasks || []);
+            total = all.length;
+            done = all.reduce((a, t) => a + taskProgress(t), 0);
+        } else {
+            const allInputs = Array.from(document.querySelectorAll('.todo-section:not(.static-readme) .tasks > li > .task-main input[type="checkbox"]'));
+            total = allInputs.length;
+            done = allInputs.reduce((a, cb) => {
+                if (cb.checked) return a + 1;
+                const subs = cb.closest('li').querySelectorAll('.subtasks input[type="checkbox"]');
+                return a + (subs.length ? Array.from(subs).filter(x => x.checked).length / subs.length : 0);
+            }, 0);
+        }
+        const pct = total === 0 ? 0 : Math.round((done / total) * 100);
+        bar.style.width = pct + '%';
+        bar.setAttribute('aria-valuenow', String(pct));
+    }
+
+    function restoreLastSaved() {
+        const metaRaw = storage.get(`${storageKey}:meta`);
+        if (lastSavedEl) lastSavedEl.textContent = 'Not saved yet';
+        if (metaRaw) {
+            try { const m = JSON.parse(metaRaw); if (m.updatedAt) updateLastSaved(m.updatedAt); } catch { }
+        }
+    }
+
+    function updateLastSaved(iso) {
+        if (!lastSavedEl) return;
+        try { lastSavedEl.textContent = `Saved ${new Date(iso).toLocaleString()}`; } catch { lastSavedEl.textContent = `Saved ${iso}`; }
+    }
+
+    /* -------------------------
+       Modals (init/edit section, edit description)
+       ------------------------- */
+    function openInitModal(prefill = {}) {
+        const html = `
+      <h3>Create New Section</h3>
+      <div style="display:flex;gap:8px;margin-top:8px;">
+        <input id="mm-sec-title" placeholder="Section title (required)" style="flex:1;padding:8px;border-radius:6px;border:1px solid rgba(0,0,0,0.1)" />
+        <input id="mm-sec-color" type="color" value="${escapeHtml(prefill.color || '#38bdf8')}" style="width:84px;border-radius:6px;padding:4px" />
+      </div>
+      <div style="display:flex;gap:8px;margin-top:8px;">
+        <input id="mm-sec-tag" placeholder="Tag (e.g. infra)" style="flex:1;padding:8px;border-radius:6px;border:1px solid rgba(0,0,0,0.1)" />
+        <input id="mm-sec-due" type="date" style="padding:8px;border-radius:6px" />
+      </div>
+      <label style="margin-top:8px;display:block">Tasks — one per line</label>
+      <textarea id="mm-sec-tasks" rows="6" style="width:100%;padding:8px;border-radius:8px;border:1px solid rgba(0,0,0,0.08);margin-top:6px" placeholder="task one\ntask two"></textarea>
+      <div style="display:flex;gap:8px;justify-content:flex-end;margin-top:10px">
+        <button id="mm-cancel" class="small">Cancel</button>
+        <button id="mm-create" class="pill">Create</button>
+      </div>
+    `;
+        const m = mm.open(html, ({ container, close }) => {
+            container.querySelector('#mm-cancel').addEventListener('click', close);
+            container.querySelector('#mm-create').addEventListener('click', async () => {
+                const title = container.querySelector('#mm-sec-title').value.trim();
+                const color = container.querySelector('#mm-sec-color').value;
+                const tag = container.querySelector('#mm-sec-tag').value.trim();
+                const due = container.querySelector('#mm-sec-due').value || '';
+                const tasks = (container.querySelector('#mm-sec-tasks').value || '').split('\n').map(s => s.trim()).filter(Boolean);
+                if (!title) { alert('Section title is required'); return; }
+                const obj = { id: uid('sec'), title, color, tag, due, tasks: tasks.map(t => makeTask(t)) };
+                const data = await loadData(); data.unshift(obj);
+                await saveData(data, { label: `create section ${quote(title)}` });
+                close(); renderAll(); toast('Section created');
+            });
+        });
+    }
+
+    function openEditModal(section) {
+        const html = `
+      <h3>Edit Section</h3>
+      <div style="display:flex;gap:8px;margin-top:8px;">
+        <input id="mm-sec-title" placeholder="Section title" value="${escapeHtml(section.title)}" style="flex:1;padding:8px;border-radius:6px;border:1px solid rgba(0,0,0,0.1)" />
+        <input id="mm-sec-color" type="color" value="${escapeHtml(section.color || '#38bdf8')}" style="width:84px;border-radius:6px;padding:4px" />
+      </div>
+      <div style="display:flex;gap:8px;margin-top:8px;">
+        <input id="mm-sec-tag" placeholder="Tag" value="${escapeHtml(section.tag || '')}" style="flex:1;padding:8px;border-radius:6px;border:1px solid rgba(0,0,0,0.1)" />
+        <input id="mm-sec-due" type="date" value="${escapeHtml(section.due || '')}" style="padding:8px;border-radius:6px" />
+      </div>
+      <label style="margin-top:8px;display:block">Tasks — one per line (existing tasks keep their details)</label>
+      <textarea id="mm-sec-tasks" rows="6" style="width:100%;padding:8px;border-radius:8px;border:1px solid rgba(0,0,0,0.08);margin-top:6px">${(section.tasks || []).map(t => escapeHtml(t.text)).join('\n')}</textarea>
+      <div style="display:flex;gap:8px;justify-content:flex-end;margin-top:10px">
+        <button id="mm-cancel" class="small">Cancel</button>
+        <button id="mm-save" class="pill">Save</button>
+      </div>
+    `;
+        const m = mm.open(html, ({ container, close }) => {
+            container.querySelector('#mm-cancel').addEventListener('click', close);
+            container.querySelector('#mm-save').addEventListener('click', async () => {
+                const title = container.querySelector('#mm-sec-title').value.trim();
+                const color = container.querySelector('#mm-sec-color').value;
+                const tag = container.querySelector('#mm-sec-tag').value.trim();
+                const due = container.querySelector('#mm-sec-due').value || '';
+                const tasksRaw = (container.querySelector('#mm-sec-tasks').value || '').split('\n').map(s => s.trim()).filter(Boolean);
+                if (!title) { alert('Section title required'); return; }
+                const data = await loadData(); const sec = data.find(s => s.id === section.id);
+                if (!sec) return;
+                sec.title = title; sec.color = color; sec.tag = tag; sec.due = due;
+                sec.tasks = tasksFromLines(sec.tasks || [], tasksRaw);
+                await saveData(data, { label: `edit section ${quote(title)}` }); close(); renderAll(); toast('Section saved');
+            });
+        });
+    }
+
+function openTaskModal(sectionId, taskId) {
+    const modal = document.getElementById('task-modal');
+    const input = document.getElementById('task-input');
+    const dueInput = document.getElementById('task-due');
+    const prioInput = document.getElementById('task-priority');
+    const statusInput = document.getElementById('task-status');
+    const assigneeInput = document.getElementById('task-assignee');
+    const tagsInput = document.getElementById('task-tags');
+    const recurInput = document.getElementById('task-recur');
+    const recurNInput = document.getElementById('task-recur-n');
+    const recurDays = Array.from(document.querySelectorAll('#task-recur-days input[type="checkbox"]'));
+    const saveBtn = document.getElementById('task-save');
+    const cancelBtn = document.getElementById('task-cancel');
+
+    const sec0 = readSections().find(s => s.id === sectionId);
+    const current = sec0 && sec0.tasks.find(t => t.id === taskId);
+    if (!current) return;
+
+    input.value = current.text || '';
+    dueInput.value = current.due || '';
+    prioInput.value = current.priority || '';
+    statusInput.value = current.status || 'todo';
+    assigneeInput.value = current.assignee || '';
+    tagsInput.value = (current.tags || []).join(', ');
+    const historyLine = document.getElementById('task-history');
+    if (historyLine) historyLine.textContent = describeTaskHistory(taskId);
+
+    // 🔁 repeat controls — weekday boxes for weekly, a number for monthly (day) / interval (days)
+    const rule = current.recur;
+    recurInput.value = rule ? rule.freq : '';
+    recurNInput.value = rule && rule.n ? rule.n : '';
+    recurDays.forEach(box => { box.checked = !!(rule && rule.days && rule.days.includes(Number(box.value))); });
+    const syncRecurFields = () => {
+        const freq = recurInput.value;
+        document.getElementById('task-recur-days').classList.toggle('hidden', freq !== 'weekly');
+        recurNInput.closest('label').classList.toggle('hidden', freq !== 'monthly' && freq !== 'interval');
+        recurNInput.previousSibling.textContent = freq === 'monthly' ? 'Day of month ' : 'Every N days ';
+    };
+    recurInput.onchange = syncRecurFields;
+    syncRecurFields();
+    modal.classList.remove('hidden');
+    const releaseFocus = trapFocus(modal);
+
+    const closeModal = () => { modal.classList.add('hidden'); releaseFocus(); };
+
+    cancelBtn.onclick = closeModal;
+
+    saveBtn.onclick = async () => {
+        const newText = input.value.trim();
+        if (!newText) return;
+        const data = await loadData();
+        const sec = data.find(s => s.id === sectionId);
+        const task = sec && sec.tasks.find(t => t.id === taskId);
+        if (!task) { closeModal(); toast('Task no longer exists'); return; }
+        const oldText = task.text;
+        const recur = normalizeRecur({
+            freq: recurInput.value,
+            n: recurNInput.value,
+            days: recurDays.filter(box => box.checked).map(box => Number(box.value))
+        });
+        Object.assign(task, normalizeTask({
+            ...task,
+            text: newText,
+            due: dueInput.value || (recur ? dateKey(nextOccurrence(recur, addDays(todayDate(), -1))) : ''),
+            priority: prioInput.value,
+            recur,
+            assignee: assigneeInput.value,
+            tags: parseTags(tagsInput.value)
+        }));
+        if (statusInput.value !== task.status) setTaskStatus(task, statusInput.value);
+        await saveData(data, { label: `edit task ${quote(oldText)}` });
+        closeModal();
+        renderAll();
+        toast('✅ Task updated');
+    };
+
+    // assigned (not added) so reopening the modal doesn't stack handlers
+    modal.onkeydown = (e) => {
+        if (e.key === 'Enter') saveBtn.click();
+        if (e.key === 'Escape') closeModal();
+    };
+
+    input.focus();
+}
+
+    // 📝 Edit Description modal — task looked up by id at save time
+    function openDescModal(sectionId, taskId) {
+        const modal = document.getElementById('desc-modal');
+        const textarea = document.getElementById('desc-input');
+        const saveBtn = document.getElementById('desc-save');
+        const cancelBtn = document.getElementById('desc-cancel');
+        const previewBtn = document.getElementById('desc-preview-toggle');
+        const preview = document.getElementById('desc-preview');
+
+        const sec = readSections().find(s => s.id === sectionId);
+        const current = sec && sec.tasks.find(t => t.id === taskId);
+        if (!current) return;
+
+        textarea.value = current.desc || '';
+        modal.classList.remove('hidden');
+        const releaseFocus = trapFocus(modal);
+
+        // ✍️ Write / 👁 Preview toggle (always opens in write mode)
+        const setPreview = (on) => {
+            if (on) preview.innerHTML = textarea.value.trim() ? renderMarkdown(textarea.value) : '<p class="placeholder">Nothing to preview</p>';
+            preview.classList.toggle('hidden', !on);
+            textarea.classList.toggle('hidden', on);
+            previewBtn.textContent = on ? '✍️ Write' : '👁 Preview';
+            previewBtn.setAttribute('aria-pressed', String(on));
+        };
+        setPreview(false);
+        previewBtn.onclick = () => setPreview(preview.classList.contains('hidden'));
+
+        const closeModal = () => { modal.classList.add('hidden'); releaseFocus(); };
+
+        saveBtn.onclick = async () => {
+            const data = await loadData();
+            const sObj = data.find(s => s.id === sectionId);
+            const task = sObj && sObj.tasks.find(t => t.id === taskId);
+            if (!task) { closeModal(); toast('Task no longer exists'); return; }
+            task.desc = textarea.value.trim();
+            await saveData(data, { label: `edit description of ${quote(task.text)}` });
+            renderAll();
+            closeModal();
+        };
+        cancelBtn.onclick = closeModal;
+
+        // Close modal on Escape
+        modal.onkeydown = (e) => {
+            if (e.key === 'Escape') closeModal();
+        };
+
+        textarea.focus();
+    }
+
+
+
+
+    /* -------------------------
+       Service health checks — panel rows with a `url` are polled while their board is open
+       - green: expected status (any 2xx when unset), amber: slow or an opaque no-cors reply, red: wrong status / timeout / unreachable
+       - the last HEALTH_HISTORY results per row are cached in IndexedDB under health:<board>:<row>
+       ------------------------- */
+    const HEALTH_TIMEOUT = 8000;
+    const HEALTH_SLOW_MS = 1500;
+    const HEALTH_HISTORY = 50;
+    const healthCache = new Map(); // key → [{ at, state, status, ms, error }]
+    const healthTimers = new Map();
+    let healthSignature = '';
+    let healthGen = 0; // bumps on reschedule so in-flight loops from an old config stop
+
+    function healthKey(row) { return `health:${boardsIndex.active}:${row.id}`; }
+
+    async function probe(row) {
+        const ctrl = new AbortController();
+        const timer = setTimeout(() => ctrl.abort(), HEALTH_TIMEOUT);
+        const started = performance.now();
+        const elapsed = () => Math.round(performance.now() - started);
+        try {
+            let res;
+            try {
+                res = await fetch(row.url, { cache: 'no-store', signal: ctrl.signal });
+            } catch (err) {
+                if (ctrl.signal.aborted) throw err;
+                // most homelab services send no CORS headers — an opaque reply still proves they answer
+                res = await fetch(row.url, { mode: 'no-cors', cache: 'no-store', signal: ctrl.signal });
+            }
+            const ms = elapsed();
+            if (res.type === 'opaque') return { state: 'warn', status: 0, ms, error: 'Reachable (status hidden by CORS)' };
+            if (row.expect ? res.status !== row.expect : !res.ok) {
+                return { state: 'down', status: res.status, ms, error: `HTTP ${res.status}${row.expect ? ` (expected ${row.expect})` : ''}` };
+            }
+            const slow = ms > HEALTH_SLOW_MS;
+            return { state: slow ? 'warn' : 'up', status: res.status, ms, error: slow ? 'Slow response' : '' };
+        } catch (err) {
+            return { state: 'down', status: 0, ms: elapsed(), error: ctrl.signal.aborted ? `Timed out after ${HEALTH_TIMEOUT / 1000}s` : 'Unreachable' };
+        } finally {
+            clearTimeout(timer);
+        }
+    }
+
+    async function runHealthCheck(row, panel) {
+        const key = healthKey(row);
+        const result = { at: nowISO(), ...(await probe(row)) };
+        const history = [...(healthCache.get(key) || []), result].slice(-HEALTH_HISTORY);
+        const prev = history[history.length - 2];
+        healthCache.set(key, history);
+        await idbPut(key, history);
+        updateHealthRow(row);
+        // alert once per outage, not on every failed poll
+        if (result.state === 'down' && (!prev || prev.state !== 'down') && panel.alertSection) await createHealthTask(row, panel, result);
+    }
+
+    // (Re)start polling when the monitored rows change; a plain re-render keeps the running timers
+    async function scheduleHealthChecks() {
+        const rows = boardMeta.panels.flatMap(p => p.rows.filter(row => row.url).map(row => ({ row, panel: p })));
+        const signature = JSON.stringify([boardsIndex.active, rows.map(({ row, panel }) => [row.id, row.url, row.expect, row.every, panel.alertSection])]);
+        if (signature === healthSignature) return;
+        healthSignature = signature;
+        const gen = ++healthGen;
+        healthTimers.forEach(t => clearTimeout(t));
+        healthTimers.clear();
+        for (const { row, panel } of rows) {
+            const key = healthKey(row);
+            if (!healthCache.has(key)) healthCache.set(key, (await idbGet(key)) || []);
+            if (gen !== healthGen) return;
+            updateHealthRow(row);
+            const tick = async () => {
+                await runHealthCheck(row, panel);
+                if (gen === healthGen) healthTimers.set(key, setTimeout(tick, row.every * 1000));
+            };
+            const last = healthCache.get(key).slice(-1)[0];
+            const wait = last ? Math.max(0, Date.parse(last.at) + row.every * 1000 - Date.now()) : 0;
+            healthTimers.set(key, setTimeout(tick, wait));
+        }
+    }
+
+    function updateHealthRow(row) {
+        const key = healthKey(row);
+        const li = Array.from(document.querySelectorAll('[data-health]')).find(el => el.dataset.health === key);
+        if (!li) return;
+        const history = healthCache.get(key) || [];
+        const last = history[history.length - 1];
+        if (!last) return;
+        const up = history.filter(h => h.state !== 'down').length;
+        li.querySelector('.health-dot').dataset.state = last.state;
+        li.querySelector('.health-meta').textContent = `${last.state === 'down' ? '—' : `${last.ms} ms`} · ${new Date(last.at).toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' })}`;
+        li.title = `${last.error || `HTTP ${last.status}`} — checked ${new Date(last.at).toLocaleString()}\nUp in ${up} of the last ${history.length} checks • click to check now`;
+    }
+
+    async function createHealthTask(row, panel, result) {
+        const data = await loadData();
+        const sec = data.find(s => s.id === panel.alertSection);
+        if (!sec) return;
+        const text = `🔴 ${row.label || row.host || row.url} is down`;
+        if (sec.tasks.some(t => !t.done && t.text === text)) return;
+        sec.tasks.unshift(makeTask(text, {
+            priority: 'P1',
+            tags: ['health'],
+            desc: `Health check failed: **${result.error}**\n\n- URL: ${row.url}\n- Checked: ${new Date(result.at).toLocaleString()}`
+        }));
+        // a background poll: logged, but kept out of undo so Ctrl+Z still reverts the user's own last edit
+        await saveData(data, { skipSnapshot: true, logActivity: true, label: `health alert ${quote(text)}` });
+        rerenderSection(sec); // board / stats views pick it up on their next render
+        toast(text);
+    }
+
+    /* -------------------------
+       Quick links + sidebar panels editors (stored on the board, so undo / export cover them)
+       ------------------------- */
+    async function saveBoardMeta(patch, label) {
+        boardMeta = normalizeBoard({ ...boardMeta, ...patch });
+        await saveData(readSections(), { label });
+        renderBoardChrome();
+    }
+
+    // Row editor shared by links and panel rows: one input per field, ↑ / ↓ reorder, delete, add.
+    // onSave(rows, container) may return false to keep the modal open (validation).
+    function openListEditor({ heading, fields, items, head = '', foot = '', onOpen = null, onSave }) {
+        const rows = items.map(x => ({ ...x }));
+        const rowHtml = (item, i) => `
+        <li data-i="${i}" style="display:flex;gap:6px;align-items:center;margin-bottom:6px">
+          ${fields.map(f => `<input class="inline-input" data-key="${f.key}" placeholder="${escapeHtml(f.placeholder)}" value="${escapeHtml(item[f.key] || '')}" aria-label="${escapeHtml(f.placeholder)}" style="flex:${f.flex || 1};min-width:0" />`).join('')}
+          <button class="small" data-act="up" title="Move up">↑</button>
+          <button class="small" data-act="down" title="Move down">↓</button>
+          <button class="small danger" data-act="remove" title="Delete">🗑</button>
+        </li>`;
+        const html = `
+      <h3>${heading}</h3>
+      ${head}
+      <ul class="mm-rows" style="list-style:none;margin:10px 0;padding:0"></ul>
+      <button id="mm-add-row" class="small">➕ Add</button>
+      ${foot}
+      <div style="display:flex;gap:8px;justify-content:flex-end;margin-top:14px">
+        <button id="mm-cancel" class="small">Cancel</button>
+        <button id="mm-save" class="pill">💾 Save</button>
+      </div>
+    `;
+        mm.open(html, ({ container, close }) => {
+            const list = container.querySelector('.mm-rows');
+            const collect = () => list.querySelectorAll('li[data-i]').forEach(li => {
+                fields.forEach(f => { rows[li.dataset.i][f.key] = li.querySelector(`[data-key="${f.key}"]`).value.trim(); });
+            });
+            const draw = () => {
+                list.innerHTML = rows.map(rowHtml).join('') || '<li style="color:var(--muted)">Nothing here yet.</li>';
+            };
+            list.addEventListener('click', (e) => {
+                const btn = e.target.closest('button[data-act]');
+                if (!btn) return;
+                collect();
+                const i = Number(btn.closest('li').dataset.i);
+                const j = btn.dataset.act === 'up' ? i - 1 : i + 1;
+                if (btn.dataset.act === 'remove') rows.splice(i, 1);
+                else if (j >= 0 && j < rows.length) [rows[i], rows[j]] = [rows[j], rows[i]];
+                draw();
+            });
+            container.querySelector('#mm-add-row').addEventListener('click', () => {
+                collect();
+                rows.push(Object.fromEntries(fields.map(f => [f.key, ''])));
+                draw();
+                list.querySelector('li:last-child input').focus();
+            });
+            container.querySelector('#mm-cancel').addEventListener('click', close);
+            container.querySelector('#mm-save').addEventListener('click', async () => {
+                collect();
+                const kept = rows.filter(row => fields.some(f => row[f.key]));
+                if (await onSave(kept, container) === false) return;
+                close();
+            });
+            draw();
+            if (onOpen) onOpen({ container, close });
+        });
+    }
+
+    function openLinksEditor() {
+        openListEditor({
+            heading: '🔗 Quick links',
+            fields: [
+                { key: 'icon', placeholder: 'Icon', flex: 0.35 },
+                { key: 'label', placeholder: 'Label' },
+                { key: 'url', placeholder: 'https://…', flex: 2 }
+            ],
+            items: boardMeta.links,
+            onSave: async (links) => {
+                const bad = links.find(l => !safeUrl(l.url));
+                if (bad) { toast(`Link ${quote(bad.label || bad.url)} needs an http(s):// URL`); return false; }
+                await saveBoardMeta({ links }, 'edit quick links');
+                toast('🔗 Quick links saved');
+            }
+        });
+    }
+
+    // panelId null → new panel
+    function openPanelEditor(panelId) {
+        const idx = boardMeta.panels.findIndex(p => p.id === panelId);
+        const panel = idx === -1 ? { id: uid('panel'), title: '', rows: [] } : boardMeta.panels[idx];
+        const movable = idx !== -1 && boardMeta.panels.length > 1;
+        const sectionOptions = readSections()
+            .map(s => `<option value="${escapeHtml(s.id)}"${s.id === panel.alertSection ? ' selected' : ''}>${escapeHtml(s.title)}</option>`).join('');
+        openListEditor({
+            heading: idx === -1 ? '➕ New panel' : '✏️ Edit panel',
+            head: `<input id="mm-panel-title" class="inline-input" placeholder="Panel title (e.g. 🔌 Services)" value="${escapeHtml(panel.title)}" />
+      <p class="hint">Add a health URL to monitor a row — Status is the expected HTTP code (blank = any 2xx), Every is the polling interval in seconds.</p>`,
+            foot: `
+      <label style="display:flex;gap:8px;align-items:center;margin-top:10px;color:var(--muted)">🚨 When a check fails, add a task to
+        <select id="mm-panel-alert" class="inline-input" style="width:auto"><option value="">— nowhere —</option>${sectionOptions}</select>
+      </label>` + (idx === -1 ? '' : `
+      <div style="display:flex;gap:8px;margin-top:10px">
+        ${movable ? '<button id="mm-panel-up" class="small">⬆ Move panel up</button><button id="mm-panel-down" class="small">⬇ Move panel down</button>' : ''}
+        <button id="mm-panel-delete" class="small danger">🗑 Delete panel</button>
+      </div>`),
+            fields: [
+                { key: 'host', placeholder: 'Host / address', flex: 1.2 },
+                { key: 'label', placeholder: 'Label' },
+                { key: 'url', placeholder: 'Health URL (optional)', flex: 1.6 },
+                { key: 'expect', placeholder: 'Status', flex: 0.45 },
+                { key: 'every', placeholder: 'Every s', flex: 0.45 }
+            ],
+            items: panel.rows,
+            onOpen: ({ container, close }) => {
+                const move = (dir) => async () => {
+                    const panels = boardMeta.panels.slice();
+                    const j = idx + dir;
+                    if (j < 0 || j >= panels.length) return;
+                    [panels[idx], panels[j]] = [panels[j], panels[idx]];
+                    close();
+                    await saveBoardMeta({ panels }, `move panel ${quote(panel.title)}`);
+                };
+                const up = container.querySelector('#mm-panel-up');
+                if (up) up.addEventListener('click', move(-1));
+                const down = container.querySelector('#mm-panel-down');
+                if (down) down.addEventListener('click', move(1));
+                const del = container.querySelector('#mm-panel-delete');
+                if (del) del.addEventListener('click', async () => {
+                    close();
+                    await saveBoardMeta({ panels: boardMeta.panels.filter(p => p.id !== panel.id) }, `delete panel ${quote(panel.title)}`);
+                    toast('Panel deleted (Ctrl+Z to undo)');
+                });
+            },
+            onSave: async (rows, container) => {
+                const title = container.querySelector('#mm-panel-title').value.trim();
+                if (!title) { toast('Give the panel a title'); return false; }
+                const bad = rows.find(row => row.url && !/^https?:\/\//i.test(row.url));
+                if (bad) { toast(`Health URL for ${quote(bad.label || bad.host)} must start with http(s)://`); return false; }
+                const next = { ...panel, title, rows, alertSection: container.querySelector('#mm-panel-alert').value };
+                const panels = idx === -1 ? [...boardMeta.panels, next] : boardMeta.panels.map(p => p.id === panel.id ? next : p);
+                await saveBoardMeta({ panels }, `${idx === -1 ? 'add' : 'edit'} panel ${quote(title)}`);
+            }
+        });
+    }
+
+    /* -------------------------
+       Theme — stored on the board ({ preset, accent1, accent2, reduce }) and applied as CSS variables
+       - preset 'auto' follows prefers-color-scheme; dark / light / contrast are fixed
+       - empty accents fall back to the preset's own colours
+       - reduce drops blur, transparency and animations (also on when the OS asks for reduced motion)
+       ------------------------- */
+    const prefersLight = window.matchMedia ? window.matchMedia('(prefers-color-scheme: light)') : null;
+    const prefersReducedMotion = window.matchMedia ? window.matchMedia('(prefers-reduced-motion: reduce)') : null;
+
+    function normalizeTheme(t) {
+        const src = t && typeof t === 'object' ? t : {};
+        const color = (c) => (/^#[0-9a-f]{6}$/i.test(String(c || '')) ? String(c).toLowerCase() : '');
+        return {
+            preset: Object.prototype.hasOwnProperty.call(THEME_PRESETS, src.preset) ? src.preset : 'auto',
+            accent1: color(src.accent1),
+            accent2: color(src.accent2),
+            reduce: Boolean(src.reduce)
+        };
+    }
+
+    function resolvePreset(preset) {
+        if (preset !== 'auto') return preset;
+        return prefersLight && prefersLight.matches ? 'light' : 'dark';
+    }
+
+    function applyTheme(theme = boardMeta.theme) {
+        const t = normalizeTheme(theme);
+        const root = document.documentElement;
+        root.dataset.theme = resolvePreset(t.preset);
+        [['--accent-1', t.accent1], ['--accent-2', t.accent2]].forEach(([name, value]) => {
+            if (value) root.style.setProperty(name, value);
+            else root.style.removeProperty(name);
+        });
+        root.classList.toggle('reduce-effects', t.reduce || Boolean(prefersReducedMotion && prefersReducedMotion.matches));
+    }
+
+    [prefersLight, prefersReducedMotion].forEach(mq => {
+        if (!mq) return;
+        const onChange = () => applyTheme();
+        if (mq.addEventListener) mq.addEventListener('change', onChange);
+        else if (mq.addListener) mq.addListener(onChange);
+    });
+
+    function openThemeModal() {
+        const saved = normalizeTheme(boardMeta.theme);
+        let draft = { ...saved };
+        const html = `
+      <h3>🎨 Theme — ${escapeHtml(boardMeta.title)}</h3>
+      <div id="mm-presets" role="radiogroup" aria-label="Preset" style="display:flex;gap:8px;flex-wrap:wrap;margin:10px 0">
+        ${Object.entries(THEME_PRESETS).map(([id, p]) => `<button type="button" class="pill" data-preset="${id}" role="radio" aria-checked="${id === draft.preset}">${p.label}</button>`).join('')}
+      </div>
+      <div style="display:flex;gap:16px;flex-wrap:wrap;align-items:center;margin:10px 0">
+        <label style="display:flex;gap:8px;align-items:center">Accent <input type="color" id="mm-accent1" /></label>
+        <label style="display:flex;gap:8px;align-items:center">Second accent <input type="color" id="mm-accent2" /></label>
+        <button type="button" id="mm-accent-reset" class="small" title="Use the preset's accents">Reset accents</button>
+      </div>
+      <label style="display:block;margin:10px 0"><input type="checkbox" id="mm-reduce"${draft.reduce ? ' checked' : ''} /> Reduce transparency and motion (no blur, no animations — lighter on older laptops)</label>
+      <p style="color:var(--muted)">Saved with this board, so each board can have its own look. Changes preview live.</p>
+      <div style="display:flex;gap:8px;justify-content:space-between;flex-wrap:wrap;margin-top:14px">
+        <div style="display:flex;gap:8px">
+          <button id="mm-theme-export" class="small">📤 Export theme</button>
+          <button id="mm-theme-import" class="small">📥 Import theme</button>
+        </div>
+        <div style="display:flex;gap:8px">
+          <button id="mm-cancel" class="small">Cancel</button>
+          <button id="mm-save" class="pill">Save</button>
+        </div>
+      </div>
+    `;
+        let kept = false;
+        mm.open(html, ({ container, close }) => {
+            const pick1 = container.querySelector('#mm-accent1');
+            const pick2 = container.querySelector('#mm-accent2');
+            const sync = () => {
+                const base = THEME_PRESETS[resolvePreset(draft.preset)];
+                pick1.value = draft.accent1 || base.accent1;
+                pick2.value = draft.accent2 || base.accent2;
+                container.querySelector('#mm-reduce').checked = draft.reduce;
+                container.querySelectorAll('[data-preset]').forEach(b => b.setAttribute('aria-checked', String(b.dataset.preset === draft.preset)));
+                applyTheme(draft);
+            };
+            container.querySelectorAll('[data-preset]').forEach(b => b.addEventListener('click', () => { draft.preset = b.dataset.preset; sync(); }));
+            pick1.addEventListener('input', () => { draft.accent1 = pick1.value; sync(); });
+            pick2.addEventListener('input', () => { draft.accent2 = pick2.value; sync(); });
+            container.querySelector('#mm-accent-reset').addEventListener('click', () => { draft.accent1 = ''; draft.accent2 = ''; sync(); });
+            container.querySelector('#mm-reduce').addEventListener('change', (e) => { draft.reduce = e.target.checked; sync(); });
+            container.querySelector('#mm-theme-export').addEventListener('click', () => {
+                downloadFile(JSON.stringify({ kind: 'theme', ...normalizeTheme(draft) }, null, 2), `pawjects_theme_${fileStamp()}.json`, 'application/json');
+            });
+            container.querySelector('#mm-theme-import').addEventListener('click', () => {
+                const input = document.createElement('input'); input.type = 'file';
+                input.accept = '.json,application/json';
+                input.addEventListener('change', () => {
+                    const file = input.files[0]; if (!file) return;
+                    const reader = new FileReader();
+                    reader.onload = () => {
+                        try {
+                            const parsed = JSON.parse(String(reader.result));
+                            if (!parsed || parsed.kind !== 'theme') throw new Error('not a Pawjects theme file');
+                            draft = normalizeTheme(parsed);
+                            sync();
+                            toast('Theme loaded — Save to keep it');
+                        } catch (err) {
+                            alert('Theme import failed: ' + (err && err.message ? err.message : String(err)));
+                        }
+                    };
+                    reader.readAsText(file);
+                });
+                input.click();
+            });
+            container.querySelector('#mm-cancel').addEventListener('click', close);
+            container.querySelector('#mm-save').addEventListener('click', async () => {
+                kept = true;
+                close();
+                await saveBoardMeta({ theme: normalizeTheme(draft) }, 'change theme');
+                toast('Theme saved');
+            });
+            sync();
+        }, () => { if (!kept) applyTheme(saved); });
+    }
+
+    /* -------------------------
+       Import / Export
+       - JSON is the full-fidelity backup; Markdown checklists, CSV and todo.txt are for wikis, spreadsheets and other tools
+       - every format goes through a preview with Merge / Replace / Add as new board
+       ------------------------- */
+    const FORMATS = {
+        json: { label: 'JSON — full backup', ext: 'json', mime: 'application/json' },
+        markdown: { label: 'Markdown checklist (GitHub)', ext: 'md', mime: 'text/markdown' },
+        csv: { label: 'CSV — one row per task', ext: 'csv', mime: 'text/csv' },
+        todotxt: { label: 'todo.txt', ext: 'txt', mime: 'text/plain' }
+    };
+    const CSV_COLUMNS = ['section', 'section_tag', 'section_color', 'section_due', 'task', 'done', 'status', 'priority', 'due', 'assignee', 'tags', 'description', 'subtasks', 'section_id', 'task_id'];
+    const TODOTXT_PRIORITY = { P0: 'A', P1: 'B', P2: 'C', P3: 'D' };
+    // Task fields each format carries — a merge leaves the rest of a task alone (CSV goes by its header row)
+    const IMPORT_FIELDS = {
+        json: ['text', 'done', 'status', 'desc', 'priority', 'due', 'assignee', 'tags', 'subtasks', 'recur', 'time'],
+        markdown: ['text', 'done', 'desc', 'priority', 'due', 'assignee', 'tags', 'subtasks'],
+        todotxt: ['text', 'done', 'priority', 'due', 'assignee', 'tags']
+    };
 
-            // Add progress label if not present
-            let progressLabel = sec.querySelector('.progress-label');
-            if (!progressLabel && progressContainer) {
-                progressLabel = document.createElement('div');
-                progressLabel.className = 'progress-label';
-                progressLabel.style.marginTop = '6px';
-                progressLabel.style.fontSize = '0.85rem';
-                progressLabel.style.color = 'var(--muted)';
-                progressContainer.after(progressLabel);
-            }
+    // Several boards export as one bundle: { app, kind: 'boards', version, active, boards: [{ id, data }] }
+    function isBoardsBundle(json) {
+        return !!json && !Array.isArray(json) && json.kind === 'boards' && Array.isArray(json.boards);
+    }
 
-            // Compute section-specific progress on render
-            const totalTasks = (section.tasks || []).length;
-            const doneTasks = (section.tasks || []).filter(t => t.done).length;
-            const pct = totalTasks ? Math.round((doneTasks / totalTasks) * 100) : 0;
+    function downloadFile(content, name, mime) {
+        const blob = new Blob([content], { type: mime });
+        const url = URL.createObjectURL(blob);
+        const a = document.createElement('a'); a.href = url;
+        a.download = name;
+        a.click();
+        URL.revokeObjectURL(url);
+    }
 
-            // Apply styles on render
-            if (progressBar) progressBar.style.width = `${pct}%`;
-            if (progressLabel) progressLabel.textContent = `${pct}% done`;
+    function fileStamp() { return (new Date()).toISOString().slice(0, 19).replace(/[:T]/g, '-'); }
+
+    // Trailing task tokens shared by the Markdown format: !P1  📅 2026-01-31  @alice  #tag
+    function splitTokens(s) {
+        const tokens = { tags: [], priority: '', due: '', assignee: '' };
+        let text = String(s || '').trim();
+        let m;
+        while ((m = text.match(/\s+(#[A-Za-z][\w-]*|@[\w.-]+|!P[0-3]|📅\s?\d{4}-\d{2}-\d{2})$/))) {
+            const tok = m[1];
+            if (tok[0] === '#') tokens.tags.unshift(tok.slice(1));
+            else if (tok[0] === '@') tokens.assignee = tok.slice(1);
+            else if (tok[0] === '!') tokens.priority = tok.slice(1);
+            else tokens.due = tok.match(/\d{4}-\d{2}-\d{2}/)[0];
+            text = text.slice(0, m.index).trim();
+        }
+        return { text, tokens };
+    }
 
-            // 🧠 Unified click toggle for entire task (not just label)
-            li.addEventListener('click', (ev) => {
-                // Ignore clicks on checkboxes or buttons (so editing/deleting still works)
-                if (ev.target.closest('.task-actions') || ev.target.type === 'checkbox') return;
-
-                const descNode = li.querySelector('.description');
-                if (!descNode) return;
-
-                const secId = li.dataset.secId || ev.currentTarget.dataset.secId;
-                const i = Number(li.dataset.idx);
-                const data = JSON.parse(localStorage.getItem(STORAGE_KEY) || '[]');
-                const sec = data.find(s => s.id === secId);
-                const task = sec?.tasks[i];
-
-                // If description empty → open modal, else toggle visibility
-                if (task && (!task.desc || !task.desc.trim())) {
-                    openDescModal(secId, i, '');
-                } else {
-                    descNode.classList.toggle('visible');
-                }
+    function toMarkdown(store) {
+        const lines = [`# ${store.board.title}`, ''];
+        store.sections.forEach(s => {
+            lines.push(`## ${[s.title, s.tag && `#${s.tag}`, s.due && `📅 ${s.due}`].filter(Boolean).join(' ')}`, '');
+            s.tasks.forEach(t => {
+                const meta = [t.priority && `!${t.priority}`, t.due && `📅 ${t.due}`, t.assignee && `@${t.assignee}`, ...t.tags.map(x => `#${x}`)];
+                lines.push(`- [${t.done ? 'x' : ' '}] ${[t.text.replace(/\s*\n\s*/g, ' '), ...meta].filter(Boolean).join(' ')}`);
+                t.subtasks.forEach(st => lines.push(`  - [${st.done ? 'x' : ' '}] ${st.text}`));
+                if (t.desc.trim()) t.desc.trim().split('\n').forEach(l => lines.push(`  > ${l}`.trimEnd()));
             });
+            lines.push('');
+        });
+        return lines.join('\n');
+    }
 
+    // Headings become sections (a leading "# " is the board title), list items tasks, indented items subtasks, "  > " lines descriptions
+    function fromMarkdown(text) {
+        const board = {};
+        const sections = [];
+        let sec = null;
+        let task = null;
+        String(text).split(/\r?\n/).forEach(raw => {
+            const line = raw.replace(/\s+$/, '');
+            let m;
+            if ((m = line.match(/^(#{1,6})\s+(.*)$/))) {
+                if (m[1].length === 1 && !board.title && !sections.length) { board.title = m[2].trim(); return; }
+                const { text: title, tokens } = splitTokens(m[2]);
+                sec = { title, tag: tokens.tags[0] || '', due: tokens.due, tasks: [] };
+                sections.push(sec);
+                task = null;
+                return;
+            }
+            if ((m = line.match(/^(\s*)[-*+]\s+(?:\[([ xX])\]\s*)?(.*)$/))) {
+                const done = (m[2] || '').toLowerCase() === 'x';
+                if (m[1].replace(/\t/g, '  ').length >= 2 && task) { task.subtasks.push({ text: m[3].trim(), done }); return; }
+                const { text: taskText, tokens } = splitTokens(m[3]);
+                if (!taskText) return;
+                if (!sec) { sec = { title: 'Imported', tasks: [] }; sections.push(sec); }
+                task = { text: taskText, done, priority: tokens.priority, due: tokens.due, assignee: tokens.assignee, tags: tokens.tags, desc: '', subtasks: [] };
+                sec.tasks.push(task);
+                return;
+            }
+            if (task && (m = line.match(/^\s+>\s?(.*)$/))) { task.desc += (task.desc ? '\n' : '') + m[1]; return; }
+            if (task && /^\s{2,}\S/.test(line)) task.desc += (task.desc ? '\n' : '') + line.trim();
+        });
+        if (!sections.length) throw new Error('No headings or checklist items found');
+        return { board, sections };
+    }
 
+    // A leading = + - @ makes spreadsheets run the cell as a formula (=HYPERLINK(...)) — a ' keeps it text.
+    // Plain numbers are left alone; fromCsv strips the ' again.
+    const CSV_FORMULA = /^[=+\-@\t\r]/;
 
-            // single click: toggle description
-            label.addEventListener('click', (ev) => {
-                const liNode = ev.currentTarget.closest('li');
-                const descNode = liNode && liNode.querySelector('.description');
-                if (!descNode) return;
+    function csvCell(v) {
+        let s = String(v == null ? '' : v);
+        if (CSV_FORMULA.test(s) && !/^[-+]?\d+(\.\d+)?$/.test(s)) s = `'${s}`;
+        return /[",\r\n]/.test(s) ? `"${s.replace(/"/g, '""')}"` : s;
+    }
 
-                // If there's no text in desc, open modal (so user can add description)
-                const secId = ev.currentTarget.dataset.secId;
-                const i = Number(ev.currentTarget.dataset.idx);
-                const data = JSON.parse(localStorage.getItem(STORAGE_KEY) || '[]');
-                const sec = data.find(s => s.id === secId);
-                const task = sec?.tasks[i];
-                if (task && (!task.desc || !task.desc.trim())) {
-                    openDescModal(secId, i, '');
-                } else {
-                    descNode.classList.toggle('visible');
-                }
-            });
+    function toCsv(store) {
+        const rows = [CSV_COLUMNS];
+        store.sections.forEach(s => {
+            const sec = [s.title, s.tag, s.color, s.due];
+            // an empty section still gets a row so it survives a round trip
+            if (!s.tasks.length) rows.push([...sec, '', '', '', '', '', '', '', '', '', s.id, '']);
+            s.tasks.forEach(t => rows.push([
+                ...sec, t.text, t.done ? 'yes' : 'no', t.status, t.priority, t.due, t.assignee, t.tags.join(' '), t.desc,
+                t.subtasks.map(st => `[${st.done ? 'x' : ' '}] ${st.text}`).join('\n'), s.id, t.id
+            ]));
+        });
+        return rows.map(r => r.map(csvCell).join(',')).join('\r\n') + '\r\n';
+    }
 
-            editBtn.addEventListener('click', async (ev) => {
-                const secId = ev.currentTarget.dataset.secId;
-                const i = Number(ev.currentTarget.dataset.idx);
-                const data = await loadData();
-                const sObj = data.find(x => x.id === secId);
-                if (!sObj) return;
+    // RFC 4180: quoted cells may hold commas, quotes ("") and newlines
+    function parseCsv(text) {
+        const rows = [];
+        let row = [], cell = '', quoted = false;
+        const src = String(text).replace(/^﻿/, '');
+        for (let i = 0; i < src.length; i++) {
+            const ch = src[i];
+            if (quoted) {
+                if (ch === '"' && src[i + 1] === '"') { cell += '"'; i++; }
+                else if (ch === '"') quoted = false;
+                else cell += ch;
+            } else if (ch === '"') quoted = true;
+            else if (ch === ',') { row.push(cell); cell = ''; }
+            else if (ch === '\n' || ch === '\r') {
+                if (ch === '\r' && src[i + 1] === '\n') i++;
+                row.push(cell); rows.push(row); row = []; cell = '';
+            } else cell += ch;
+        }
+        if (cell || row.length) { row.push(cell); rows.push(row); }
+        return rows.filter(r => r.some(c => c.trim()));
+    }
 
-                openTaskModal(secId, i, sObj.tasks[i].text || '');
+    // Header-driven, so spreadsheets from other tools work as long as they have a task / text / title column
+    function fromCsv(text) {
+        const rows = parseCsv(text);
+        if (!rows.length) throw new Error('Empty CSV');
+        const head = rows[0].map(h => h.trim().toLowerCase().replace(/\s+/g, '_'));
+        const col = (...names) => head.findIndex(h => names.includes(h));
+        const c = {
+            section: col('section', 'list', 'project', 'category'), sectionTag: col('section_tag'), sectionColor: col('section_color'),
+            sectionDue: col('section_due'), task: col('task', 'text', 'title', 'name', 'summary'), done: col('done', 'completed', 'complete'),
+            status: col('status'), priority: col('priority', 'prio'), due: col('due', 'due_date'), assignee: col('assignee', 'owner'),
+            tags: col('tags', 'labels'), desc: col('description', 'desc', 'notes'), subtasks: col('subtasks', 'checklist'),
+            sectionId: col('section_id'), taskId: col('task_id')
+        };
+        if (c.task === -1) throw new Error('CSV needs a "task" (or text / title) column');
+        const fields = ['text', ...Object.entries({ done: c.done === -1 ? c.status : c.done, status: c.status, priority: c.priority, due: c.due, assignee: c.assignee, tags: c.tags, desc: c.desc, subtasks: c.subtasks })
+            .filter(([, i]) => i !== -1).map(([f]) => f)];
+        const sections = [];
+        const byKey = new Map();
+        rows.slice(1).forEach(r => {
+            const get = (i) => (i === -1 ? '' : String(r[i] || '').trim().replace(/^'(?=[=+\-@])/, ''));
+            const title = get(c.section) || 'Imported';
+            const key = get(c.sectionId) || title.toLowerCase();
+            let sec = byKey.get(key);
+            if (!sec) {
+                sec = { id: get(c.sectionId) || undefined, title, tag: get(c.sectionTag), color: get(c.sectionColor) || undefined, due: get(c.sectionDue), tasks: [] };
+                byKey.set(key, sec);
+                sections.push(sec);
+            }
+            const taskText = get(c.task);
+            if (!taskText) return;
+            const status = get(c.status).toLowerCase();
+            sec.tasks.push({
+                id: get(c.taskId) || undefined,
+                text: taskText,
+                done: /^(x|y|yes|true|1|done)$/i.test(get(c.done)) || status === 'done',
+                status,
+                priority: get(c.priority).toUpperCase(),
+                due: get(c.due),
+                assignee: get(c.assignee),
+                tags: parseTags(get(c.tags)),
+                desc: get(c.desc),
+                subtasks: get(c.subtasks).split(/\r?\n/).filter(Boolean).map(line => {
+                    const m = line.match(/^\[([ xX])\]\s*(.*)$/);
+                    return m ? { text: m[2], done: m[1].toLowerCase() === 'x' } : { text: line, done: false };
+                })
             });
+        });
+        return { board: {}, sections, fields };
+    }
 
+    // todo.txt: sections ↔ +Project, tags ↔ @context, extras as key:value (due: owner: status: pri:)
+    function toTodoTxt(store) {
+        return store.sections.flatMap(s => s.tasks.map(t => [
+            t.done ? 'x' : '',
+            !t.done && t.priority ? `(${TODOTXT_PRIORITY[t.priority]})` : '',
+            t.text.replace(/\s*\n\s*/g, ' '),
+            `+${s.title.trim().replace(/\s+/g, '_')}`,
+            ...t.tags.map(x => `@${x}`),
+            t.done && t.priority ? `pri:${TODOTXT_PRIORITY[t.priority]}` : '',
+            t.due && `due:${t.due}`,
+            t.assignee && `owner:${t.assignee}`,
+            (t.status === 'doing' || t.status === 'blocked') && `status:${t.status}`
+        ].filter(Boolean).join(' '))).join('\n') + '\n';
+    }
 
-            // 📝 Edit Description button (modern modal)
-            if (editDescBtn) {
-                editDescBtn.addEventListener('click', async (ev) => {
-                    const secId = ev.currentTarget.dataset.secId;
-                    const i = Number(ev.currentTarget.dataset.idx);
-                    const data = await loadData();
-                    const sObj = data.find(x => x.id === secId);
-                    if (!sObj) return;
+    function fromTodoTxt(text) {
+        const sections = [];
+        const byTitle = new Map();
+        const letterToPriority = (l) => `P${Math.min(3, Math.max(0, l.toUpperCase().charCodeAt(0) - 65))}`;
+        String(text).split(/\r?\n/).forEach(line => {
+            let rest = line.trim();
+            if (!rest) return;
+            let done = false;
+            let priority = '';
+            let m;
+            if (/^x\s/.test(rest)) { done = true; rest = rest.slice(2).trim(); }
+            rest = rest.replace(/^(\d{4}-\d{2}-\d{2}\s+){1,2}/, ''); // completion (+ creation) date
+            if ((m = rest.match(/^\(([A-Z])\)\s+/))) { priority = letterToPriority(m[1]); rest = rest.slice(m[0].length); }
+            rest = rest.replace(/^\d{4}-\d{2}-\d{2}\s+/, ''); // creation date
+            const task = { text: '', done, priority, tags: [], due: '', assignee: '', status: '' };
+            let project = '';
+            const words = [];
+            rest.split(/\s+/).forEach(word => {
+                if (/^\+\S/.test(word)) { if (project) task.tags.push(word.slice(1)); else project = word.slice(1).replace(/_/g, ' '); }
+                else if (/^@\S/.test(word)) task.tags.push(word.slice(1));
+                else if ((m = word.match(/^(due|owner|status|pri):(\S+)$/i))) {
+                    const key = m[1].toLowerCase();
+                    if (key === 'due') task.due = m[2];
+                    else if (key === 'owner') task.assignee = m[2];
+                    else if (key === 'status') task.status = m[2].toLowerCase();
+                    else task.priority = letterToPriority(m[2]);
+                } else words.push(word);
+            });
+            task.text = words.join(' ');
+            if (!task.text) return;
+            const title = project || 'Inbox';
+            let sec = byTitle.get(title.toLowerCase());
+            if (!sec) { sec = { title, tasks: [] }; byTitle.set(title.toLowerCase(), sec); sections.push(sec); }
+            sec.tasks.push(task);
+        });
+        if (!sections.length) throw new Error('No tasks found');
+        return { board: {}, sections };
+    }
 
-                    const task = sObj.tasks[i];
+    function serializeStore(store, format) {
+        if (format === 'markdown') return toMarkdown(store);
+        if (format === 'csv') return toCsv(store);
+        if (format === 'todotxt') return toTodoTxt(store);
+        return JSON.stringify(store, null, 2);
+    }
 
-                    // Open modal
-                    const modal = document.getElementById('desc-modal');
-                    const textarea = document.getElementById('desc-input');
-                    const saveBtn = document.getElementById('desc-save');
-                    const cancelBtn = document.getElementById('desc-cancel');
+    // Any known version (old bare arrays too) → validated current envelope
+    function parseImportedStore(json) {
+        const migrated = migrateStore(json);
+        for (const s of migrated.sections || []) {
+            if (typeof s.id !== 'string' || typeof s.title !== 'string' || !Array.isArray(s.tasks)) throw new Error('Invalid section shape');
+            for (const t of s.tasks) {
+                if (typeof (t && t.text) !== 'string') throw new Error('Invalid task shape: missing text');
+            }
+        }
+        return normalizeStore(migrated);
+    }
 
-                    textarea.value = task.desc || '';
-                    modal.classList.remove('hidden');
+    // → { store, fields }: the normalized store and the task fields the file actually had (see IMPORT_FIELDS)
+    function parseImport(text, format) {
+        if (format === 'json') return { store: parseImportedStore(JSON.parse(text)), fields: IMPORT_FIELDS.json };
+        const { fields = IMPORT_FIELDS[format], ...parsed } = format === 'markdown' ? fromMarkdown(text) : format === 'csv' ? fromCsv(text) : fromTodoTxt(text);
+        return { store: normalizeStore({ version: SCHEMA_VERSION, ...parsed }), fields };
+    }
 
-                    // Cleanup any old listeners to avoid stacking
-                    const closeModal = () => modal.classList.add('hidden');
-                    const saveHandler = async () => {
-                        task.desc = textarea.value.trim();
-                        await saveData(data);
-                        renderAll();
-                        closeModal();
-                    };
+    function detectFormat(fileName, text) {
+        const ext = String(fileName).toLowerCase().split('.').pop();
+        if (ext === 'json') return 'json';
+        if (ext === 'md' || ext === 'markdown') return 'markdown';
+        if (ext === 'csv') return 'csv';
+        const head = String(text).trimStart();
+        if (/^[[{]/.test(head)) return 'json';
+        if (/^(#{1,6}\s|[-*+]\s+\[[ xX]\])/m.test(head)) return 'markdown';
+        return 'todotxt';
+    }
 
-                    saveBtn.onclick = saveHandler;
-                    cancelBtn.onclick = closeModal;
+    async function exportBoards(scope, format = 'json') {
+        const current = buildStore(await loadData());
+        const fmt = FORMATS[format] || FORMATS.json;
+        if (scope === 'all' && format === 'json') {
+            const boards = boardsIndex.boards.map(b => ({ id: b.id, data: b.id === boardsIndex.active ? current : readBoardStore(b.id) })).filter(b => b.data);
+            downloadFile(JSON.stringify({ ...STORAGE_META, kind: 'boards', active: boardsIndex.active, boards }, null, 2), `pawjects_boards_${fileStamp()}.json`, fmt.mime);
+            toast(`Exported ${boards.length} boards`);
+            return;
+        }
+        downloadFile(serializeStore(current, format), `dashboard_backup_${fileStamp()}.${fmt.ext}`, fmt.mime);
+        toast(`Exported ${fmt.label.split(' ')[0]}`);
+    }
 
-                    // Close modal on Escape
-                    modal.addEventListener('keydown', (e) => {
-                        if (e.key === 'Escape') closeModal();
-                    });
+    function openExportModal(format = 'json') {
+        const options = Object.entries(FORMATS).map(([id, f]) => `<option value="${id}"${id === format ? ' selected' : ''}>${escapeHtml(f.label)}</option>`).join('');
+        const html = `
+      <h3>📤 Export</h3>
+      <label style="display:flex;gap:8px;align-items:center;margin:6px 0">Format
+        <select id="mm-format" class="inline-input" style="width:auto">${options}</select>
+      </label>
+      <div id="mm-scope"${boardsIndex.boards.length < 2 ? ' class="hidden"' : ''}>
+        <label style="display:block;margin:6px 0"><input type="radio" name="mm-scope" value="board" checked /> This board — <b>${escapeHtml(boardMeta.title)}</b></label>
+        <label style="display:block;margin:6px 0"><input type="radio" name="mm-scope" value="all" /> All boards (${boardsIndex.boards.length}) — JSON only</label>
+      </div>
+      <pre id="mm-preview" class="info-list" style="max-height:260px;overflow:auto;margin-top:10px"></pre>
+      <div style="display:flex;gap:8px;justify-content:flex-end;margin-top:14px">
+        <button id="mm-cancel" class="small">Cancel</button>
+        <button id="mm-copy" class="pill">📋 Copy</button>
+        <button id="mm-export" class="pill">📤 Download</button>
+      </div>
+    `;
+        mm.open(html, ({ container, close }) => {
+            const formatSel = container.querySelector('#mm-format');
+            const allRadio = container.querySelector('input[name="mm-scope"][value="all"]');
+            const text = () => serializeStore(buildStore(readSections()), formatSel.value);
+            const refresh = () => {
+                allRadio.disabled = formatSel.value !== 'json';
+                if (allRadio.disabled) container.querySelector('input[name="mm-scope"][value="board"]').checked = true;
+                const lines = text().split('\n');
+                container.querySelector('#mm-preview').textContent = lines.slice(0, 60).join('\n') + (lines.length > 60 ? `\n… ${lines.length - 60} more lines` : '');
+            };
+            formatSel.addEventListener('change', refresh);
+            container.querySelector('#mm-cancel').addEventListener('click', close);
+            container.querySelector('#mm-copy').addEventListener('click', async () => {
+                toast(await copyText(text()) ? 'Copied to clipboard' : 'Copy failed');
+            });
+            container.querySelector('#mm-export').addEventListener('click', () => {
+                close();
+                exportBoards(container.querySelector('input[name="mm-scope"]:checked').value, formatSel.value);
+            });
+            refresh();
+        });
+    }
 
-                    textarea.focus();
-                });
-            }
+    exportBtn.addEventListener('click', () => openExportModal());
 
+    function openBundleImportModal(json, fileName) {
+        const stores = json.boards.map(b => ({ id: b && b.id, store: parseImportedStore(b && b.data) }));
+        const names = stores.map(s => `<li>${escapeHtml(s.store.board.title)} — ${s.store.sections.length} sections</li>`).join('');
+        const html = `
+      <h3>📥 Import ${escapeHtml(fileName)}</h3>
+      <ul style="margin:8px 0 0 18px;padding:0;color:var(--muted)">${names}</ul>
+      <div style="display:flex;gap:8px;justify-content:flex-end;margin-top:14px;flex-wrap:wrap">
+        <button id="mm-cancel" class="small">Cancel</button>
+        <button id="mm-add" class="pill">➕ Add as new boards</button>
+        <button id="mm-replace" class="pill danger">♻️ Replace all boards</button>
+      </div>
+    `;
+        mm.open(html, ({ container, close }) => {
+            container.querySelector('#mm-cancel').addEventListener('click', close);
+            container.querySelector('#mm-add').addEventListener('click', async () => {
+                close();
+                const ids = stores.map(s => createBoard(s.store.board.title, s.store));
+                await switchBoard(ids[0]);
+                toast(`Imported ${ids.length} board${ids.length === 1 ? '' : 's'}`);
+            });
+            container.querySelector('#mm-replace').addEventListener('click', async () => {
+                if (!confirm(`Replace all ${boardsIndex.boards.length} boards with the ${stores.length} in this file? Each board is backed up first (🗄️ Backups).`)) return;
+                close();
+                for (const b of boardsIndex.boards) await backupBoard('before import', b.id);
+                boardsIndex.boards.forEach(b => removeBoardKeys(b.id));
+                const seen = new Set();
+                boardsIndex.boards = stores.map(s => {
+                    const id = typeof s.id === 'string' && s.id && !seen.has(s.id) ? s.id : uid('board');
+                    seen.add(id);
+                    writeBoardStore(id, s.store);
+                    return { id, title: s.store.board.title };
+                });
+                const active = boardsIndex.boards.some(b => b.id === json.active) ? json.active : boardsIndex.boards[0].id;
+                await switchBoard(active);
+                toast(`Imported ${stores.length} boards`);
+            });
+        });
+    }
 
-            delBtn.addEventListener('click', async (ev) => {
-                const secId = ev.currentTarget.dataset.secId;
-                const i = Number(ev.currentTarget.dataset.idx);
-                if (!confirm('Delete task?')) return;
-                const data = await loadData();
-                const sec = data.find(s => s.id === secId);
-                if (!sec) return;
-                sec.tasks.splice(i, 1);
-                await saveData(data);
+    // Preview step: pick / confirm the format, see what will come in, then merge, replace or add as a new board
+    function openImportModal(text, fileName) {
+        let json = null;
+        try { json = JSON.parse(text); } catch { }
+        if (isBoardsBundle(json)) { openBundleImportModal(json, fileName); return; }
+        const options = Object.entries(FORMATS).map(([id, f]) => `<option value="${id}">${escapeHtml(f.label)}</option>`).join('');
+        const html = `
+      <h3>📥 Import ${escapeHtml(fileName)}</h3>
+      <label style="display:flex;gap:8px;align-items:center;margin:6px 0">Format
+        <select id="mm-format" class="inline-input" style="width:auto">${options}</select>
+      </label>
+      <div id="mm-preview" style="max-height:300px;overflow:auto;margin-top:10px"></div>
+      <div style="display:flex;gap:8px;justify-content:flex-end;margin-top:14px;flex-wrap:wrap">
+        <button id="mm-cancel" class="small">Cancel</button>
+        <button id="mm-add" class="pill">➕ Add as new board</button>
+        <button id="mm-merge" class="pill" title="Compare with this board and pick what to take, section by section">🔀 Merge into ${escapeHtml(quote(boardMeta.title))}</button>
+        <button id="mm-replace" class="pill danger">♻️ Replace ${escapeHtml(quote(boardMeta.title))}</button>
+      </div>
+    `;
+        mm.open(html, ({ container, close }) => {
+            const formatSel = container.querySelector('#mm-format');
+            const preview = container.querySelector('#mm-preview');
+            const current = readSections();
+            const actions = ['#mm-add', '#mm-merge', '#mm-replace'].map(sel => container.querySelector(sel));
+            let store = null;
+            let fields = [];
+            const refresh = () => {
+                try {
+                    ({ store, fields } = parseImport(text, formatSel.value));
+                    const diff = diffSections(current, store.sections, fields).map(mergeCounts).reduce((a, c) => ({ added: a.added + c.added, changed: a.changed + c.changed }), { added: 0, changed: 0 });
+                    preview.innerHTML = `
+        <p style="color:var(--muted);margin:0 0 6px">${store.sections.length} sections, ${store.sections.reduce((a, s) => a + s.tasks.length, 0)} tasks — compared with this board: ${diff.added} new, ${diff.changed} changed.</p>
+        <ul style="margin:0 0 0 18px;padding:0">${store.sections.map(s => `
+          <li><b>${escapeHtml(s.title)}</b> <span style="color:var(--muted)">(${s.tasks.length})</span>
+            <ul style="margin:2px 0 6px 18px;padding:0;color:var(--muted)">${s.tasks.slice(0, 5).map(t => `<li>${t.done ? '☑' : '☐'} ${escapeHtml(t.text)}</li>`).join('')}${s.tasks.length > 5 ? `<li>… ${s.tasks.length - 5} more</li>` : ''}</ul>
+          </li>`).join('')}</ul>`;
+                } catch (err) {
+                    store = null;
+                    preview.innerHTML = `<p style="color:var(--danger-text)">Can't read this as ${escapeHtml(FORMATS[formatSel.value].label)}: ${escapeHtml(err && err.message ? err.message : String(err))}</p>`;
+                }
+                actions.forEach(btn => { btn.disabled = !store; });
+            };
+            formatSel.value = detectFormat(fileName, text);
+            formatSel.addEventListener('change', refresh);
+            container.querySelector('#mm-cancel').addEventListener('click', close);
+            container.querySelector('#mm-add').addEventListener('click', async () => {
+                close();
+                const title = store.board.title !== DEFAULT_BOARD.title ? store.board.title : fileName.replace(/\.[^.]+$/, '');
+                await switchBoard(createBoard(title, formatSel.value === 'json' ? store : { ...store, board: blankBoard(title) }));
+                toast(`Imported ${quote(title)} as a new board`);
+            });
+            container.querySelector('#mm-merge').addEventListener('click', () => {
+                close();
+                openMergeModal(store, fileName, fields);
+            });
+            container.querySelector('#mm-replace').addEventListener('click', async () => {
+                close();
+                // text formats carry no board chrome, so keep this board's links / panels
+                await backupBoard('before import');
+                if (formatSel.value === 'json') boardMeta = store.board;
+                await saveData(store.sections, { label: `import ${quote(fileName)}` });
                 renderAll();
-                toast('Task removed');
+                toast('Imported successfully (Ctrl+Z to undo)');
             });
+            refresh();
+        });
+    }
 
-            ul.appendChild(li);
+    importBtn.addEventListener('click', () => {
+        const input = document.createElement('input'); input.type = 'file';
+        input.accept = '.json,application/json,.md,.markdown,text/markdown,.csv,text/csv,.txt,text/plain';
+        input.addEventListener('change', async () => {
+            const file = input.files[0]; if (!file) return;
+            const reader = new FileReader();
+            reader.onload = async () => {
+                try {
+                    // JSON (old bare arrays, envelopes, multi-board bundles), Markdown, CSV or todo.txt
+                    openImportModal(String(reader.result), file.name);
+                } catch (err) {
+                    alert('Import failed: ' + (err && err.message ? err.message : String(err)));
+                }
+            };
+            reader.readAsText(file);
+        });
+        input.click();
+    });
 
-            // collapse/expand section when clicking its title area
-            const headerLeft = node.querySelector('.section-header .left');
-            const body = node.querySelector('.section-body');
-            if (headerLeft && body) {
-                headerLeft.addEventListener('click', (ev) => {
-                    // ignore if clicking on section controls (buttons)
-                    if (ev.target.closest('.section-controls')) return;
-                    body.classList.toggle('hidden');
-                });
-            }
-            setTimeout(() => {
-                headerLeft.addEventListener('click', (ev) => {
-                    if (ev.target.closest('.section-controls')) return;
-                    body.classList.toggle('hidden');
-                });
-            }, 0);
+    /* -------------------------
+       Merge import — diff the incoming board against this one and accept it section by section
+       - sections match by id, then title; tasks by id, then text (ids win, so renamed tasks still pair up)
+       - differing done / desc values are conflicts: nothing is applied until each one has a mine / theirs choice
+       - only fields the file's format carries are compared (todo.txt has no descriptions, Markdown no status or time)
+       - time entries are combined by id rather than replaced
+       - items missing from the file are kept unless "remove missing" is ticked
+       ------------------------- */
+    const MERGE_TASK_FIELDS = ['text', 'status', 'priority', 'due', 'assignee', 'tags', 'subtasks', 'recur', 'time'];
+    const MERGE_CONFLICT_FIELDS = ['done', 'desc'];
+    const MERGE_SECTION_FIELDS = ['title', 'tag', 'color', 'due'];
 
-        });
+    const sameText = (a, b) => String(a).trim().toLowerCase() === String(b).trim().toLowerCase();
 
-        // inline add
-        const inline = sec.querySelector('.inline-input');
-        if (inline) {
-            inline.addEventListener('keydown', async (ev) => {
-                if (ev.key === 'Enter') {
-                    const text = inline.value.trim();
-                    if (!text) return;
-                    const data = await loadData(); const sObj = data.find(x => x.id === section.id);
-                    if (!sObj) return;
-                    sObj.tasks.push({ text, done: false, desc: '' });
-                    inline.value = '';
-                    await saveData(data);
-                    renderAll();
-                }
-            });
-        }
+    // subtask ids are regenerated by text imports, so compare what the user sees
+    function mergeValue(t, field) {
+        return JSON.stringify(field === 'subtasks' ? t.subtasks.map(st => [st.text, st.done]) : t[field]);
+    }
 
-        // header controls
-        const addTaskBtn = sec.querySelector('.add-task');
-        const editSectionBtn = sec.querySelector('.edit-section');
-        const deleteSectionBtn = sec.querySelector('.delete-section');
-        const collapseBtn = sec.querySelector('.collapse');
-        const sectionBody = sec.querySelector('.section-body');
+    // Two passes so an id match is never stolen by an earlier text match
+    function pairUp(current, incoming, textOf) {
+        const pairs = new Map();
+        const free = new Set(current);
+        const take = (inc, pred) => {
+            if (pairs.has(inc)) return;
+            const cur = current.find(c => free.has(c) && pred(c));
+            if (cur) { pairs.set(inc, cur); free.delete(cur); }
+        };
+        incoming.forEach(inc => take(inc, c => c.id === inc.id));
+        incoming.forEach(inc => take(inc, c => sameText(textOf(c), textOf(inc))));
+        return { pairs, missing: current.filter(c => free.has(c)) };
+    }
 
-        if (addTaskBtn) addTaskBtn.addEventListener('click', async () => {
-            const q = prompt('New task');
-            if (!q) return;
-            const data = await loadData(); const sObj = data.find(x => x.id === section.id);
-            sObj.tasks.push({ text: q.trim(), done: false, desc: '' });
-            await saveData(data); renderAll();
-        });
+    // theirs added to mine; an entry both sides have is kept once
+    function mergeTime(mine, theirs) {
+        const ids = new Set(mine.map(e => e.id));
+        return mine.concat(theirs.filter(e => !ids.has(e.id))).sort((a, b) => a.start.localeCompare(b.start));
+    }
 
-        if (editSectionBtn) editSectionBtn.addEventListener('click', () => openEditModal(section));
-        if (deleteSectionBtn) deleteSectionBtn.addEventListener('click', async () => {
-            if (!confirm(`Delete section "${section.title}"?`)) return;
-            const data = await loadData();
-            const filtered = data.filter(s => s.id !== section.id);
-            await saveData(filtered);
-            renderAll();
-            toast('Section deleted');
+    function diffTasks(current, incoming, fields = IMPORT_FIELDS.json) {
+        const { pairs, missing } = pairUp(current, incoming, t => t.text);
+        const rows = incoming.map(inc => {
+            const cur = pairs.get(inc);
+            if (!cur) return { kind: 'added', inc };
+            const conflicts = MERGE_CONFLICT_FIELDS.filter(f => fields.includes(f) && cur[f] !== inc[f]);
+            // status moves with done, so it's only a plain change when done agrees; time only counts if theirs adds entries
+            const differs = (f) => (f === 'time' ? mergeTime(cur.time, inc.time).length !== cur.time.length : mergeValue(cur, f) !== mergeValue(inc, f));
+            const changed = MERGE_TASK_FIELDS.filter(f => fields.includes(f) && differs(f) && !(f === 'status' && conflicts.includes('done')));
+            return { kind: changed.length || conflicts.length ? 'changed' : 'same', cur, inc, changed, conflicts };
         });
+        return rows.concat(missing.map(cur => ({ kind: 'removed', cur })));
+    }
 
-        if (collapseBtn) {
-            collapseBtn.dataset.secId = section.id;
-            collapseBtn.addEventListener('click', (ev) => {
-                const btn = ev.currentTarget;
-                const body = btn.closest('section').querySelector('.section-body');
-                if (!body) return;
-                body.classList.toggle('hidden');
-                btn.textContent = body.classList.contains('hidden') ? '▸' : '▾';
-            });
-        }
-
-        const progEl = sec.querySelector('.progress');
-        if (progEl) updateProgressFor(section.id, progEl);
+    function diffSections(current, incoming, fields) {
+        const { pairs, missing } = pairUp(current, incoming, s => s.title);
+        const entries = incoming.map(inc => {
+            const cur = pairs.get(inc);
+            if (!cur) return { kind: 'added', inc, changed: [], tasks: inc.tasks.map(t => ({ kind: 'added', inc: t })) };
+            const changed = MERGE_SECTION_FIELDS.filter(f => (cur[f] || '') !== (inc[f] || ''));
+            return { kind: 'matched', cur, inc, changed, tasks: diffTasks(cur.tasks, inc.tasks, fields) };
+        });
+        return entries.concat(missing.map(cur => ({ kind: 'removed', cur, changed: [], tasks: cur.tasks.map(t => ({ kind: 'removed', cur: t })) })));
+    }
 
+    function mergeCounts(entry) {
+        const count = (kind) => entry.tasks.filter(r => r.kind === kind).length;
+        return { added: count('added'), changed: count('changed'), removed: count('removed'), same: count('same') };
+    }
 
-        dynamicContainer.appendChild(node);
+    function hasMergeChanges(entry) {
+        return entry.kind !== 'matched' || entry.changed.length > 0 || entry.tasks.some(r => r.kind !== 'same');
     }
 
-    /* -------------------------
-       Progress (section + global)
-       - Global progress calculated from stored data (reliable)
-       ------------------------- */
-    function updateProgressFor(sectionId, progressElement) {
-        const data = JSON.parse(localStorage.getItem(STORAGE_KEY) || '[]');
-        const sec = data.find(s => s.id === sectionId);
-        if (!sec) { if (progressElement) progressElement.style.width = '0%'; return; }
-        const total = sec.tasks.length || 0;
-        const done = sec.tasks.filter(t => t.done).length;
-        const pct = total === 0 ? 0 : Math.round((done / total) * 100);
-        if (progressElement) progressElement.style.width = pct + '%';
+    // choices: Map of `${entryIdx}:${rowIdx}:${field}` → 'mine' | 'theirs'
+    function applyMerge(current, entries, { accepted, choices, prune }) {
+        const mergeTask = (i, j, row) => {
+            const pick = (f) => choices.get(`${i}:${j}:${f}`) === 'theirs';
+            const t = { ...row.cur };
+            row.changed.forEach(f => { t[f] = f === 'time' ? mergeTime(row.cur.time, row.inc.time) : row.inc[f]; });
+            if (row.conflicts.includes('desc') && pick('desc')) t.desc = row.inc.desc;
+            if (row.conflicts.includes('done') && pick('done')) { t.done = row.inc.done; t.status = row.inc.status; }
+            return t;
+        };
+        const out = [];
+        current.forEach(s => {
+            const i = entries.findIndex(e => e.cur === s);
+            const entry = entries[i];
+            if (!entry || !accepted.has(i)) { out.push(s); return; }
+            if (entry.kind === 'removed') { if (!prune) out.push(s); return; }
+            const tasks = [];
+            s.tasks.forEach(t => {
+                const j = entry.tasks.findIndex(r => r.cur === t);
+                const row = entry.tasks[j];
+                if (row.kind === 'removed') { if (!prune) tasks.push(t); return; }
+                tasks.push(row.kind === 'changed' ? mergeTask(i, j, row) : t);
+            });
+            entry.tasks.forEach(r => { if (r.kind === 'added') tasks.push(r.inc); });
+            const fields = Object.fromEntries(entry.changed.map(f => [f, entry.inc[f]]));
+            out.push({ ...s, ...fields, tasks });
+        });
+        entries.forEach((e, i) => { if (e.kind === 'added' && accepted.has(i)) out.push(e.inc); });
+        // a task that moved sections on the other side can arrive while its old copy is kept
+        const seen = new Set();
+        return out.map(s => ({
+            ...s,
+            tasks: s.tasks.map(t => {
+                if (!seen.has(t.id)) { seen.add(t.id); return t; }
+                const copy = { ...t, id: uid('task') };
+                seen.add(copy.id);
+                return copy;
+            })
+        }));
     }
 
-    // global: fromStorage=true means compute from storage rather than DOM (preferred)
-    function updateGlobalProgress(fromStorage = true) {
-        const bar = document.getElementById('global-progress-bar');
-        if (!bar) return;
-        let total = 0, done = 0;
-        if (fromStorage) {
-            const data = JSON.parse(localStorage.getItem(STORAGE_KEY) || '[]');
-            const all = (data || []).flatMap(s => s.tasks || []);
-            total = all.length;
-            done = all.filter(t => !!t.done).length;
-        } else {
-            const allInputs = Array.from(document.querySelectorAll('.todo-section:not(.static-readme) .tasks input[type="checkbox"]'));
-            total = allInputs.length;
-            done = allInputs.filter(cb => cb.checked).length;
-        }
-        const pct = total === 0 ? 0 : Math.round((done / total) * 100);
-        bar.style.width = pct + '%';
-        bar.setAttribute('aria-valuenow', String(pct));
+    function mergeConflictHtml(key, field, row) {
+        const show = (t) => field === 'done'
+            ? (t.done ? '☑ done' : '☐ open')
+            : (t.desc.trim() ? `“${escapeHtml(t.desc.trim().length > 80 ? t.desc.trim().slice(0, 79) + '…' : t.desc.trim())}”` : '<i>empty</i>');
+        return `
+            <div class="merge-conflict">
+              <span class="merge-field">${field === 'done' ? 'Done' : 'Description'}</span>
+              <label><input type="radio" name="mm-c-${key}" value="mine" data-choice="${key}" /> Mine: ${show(row.cur)}</label>
+              <label><input type="radio" name="mm-c-${key}" value="theirs" data-choice="${key}" /> Theirs: ${show(row.inc)}</label>
+            </div>`;
     }
 
-    function updateLastSaved(iso) {
-        if (!lastSavedEl) return;
-        try { lastSavedEl.textContent = `Saved ${new Date(iso).toLocaleString()}`; } catch { lastSavedEl.textContent = `Saved ${iso}`; }
+    function mergeSectionHtml(entry, i) {
+        const c = mergeCounts(entry);
+        const s = entry.cur || entry.inc;
+        const changes = hasMergeChanges(entry);
+        const summary = entry.kind === 'added' ? 'new section'
+            : entry.kind === 'removed' ? 'missing from file'
+            : changes ? [c.added && `+${c.added}`, c.changed && `~${c.changed}`, c.removed && `−${c.removed}`, entry.changed.length && `${entry.changed.join(', ')} changed`].filter(Boolean).join(' ')
+            : 'no changes';
+        const rows = entry.tasks.map((r, j) => {
+            if (r.kind === 'same') return '';
+            const t = r.inc || r.cur;
+            const sign = { added: '+', changed: '~', removed: '−' }[r.kind];
+            const note = r.kind === 'changed' && r.changed.length ? ` <small>changed: ${escapeHtml(r.changed.join(', '))}</small>` : '';
+            const removedNote = r.kind === 'removed' ? ' <small class="merge-keep">kept</small>' : '';
+            return `
+          <li class="merge-row" data-kind="${r.kind}">
+            <span class="merge-sign">${sign}</span> ${escapeHtml(t.text)}${note}${removedNote}
+            ${(r.conflicts || []).map(f => mergeConflictHtml(`${i}:${j}:${f}`, f, r)).join('')}
+          </li>`;
+        }).join('');
+        return `
+        <div class="merge-section" data-kind="${entry.kind}">
+          <label class="merge-head">
+            <input type="checkbox" data-entry="${i}"${changes && entry.kind !== 'removed' ? ' checked' : ''}${changes ? '' : ' disabled'} />
+            <b>${escapeHtml(s.title)}</b>
+            <span class="merge-summary">${escapeHtml(summary)}${c.same ? ` • ${c.same} unchanged` : ''}</span>
+          </label>
+          ${rows ? `<ul class="merge-tasks">${rows}</ul>` : ''}
+        </div>`;
     }
 
-    /* -------------------------
-       Modals (init/edit section, edit description)
-       ------------------------- */
-    function openInitModal(prefill = {}) {
+    async function openMergeModal(store, fileName, fields) {
+        const current = await loadData();
+        const entries = diffSections(current, store.sections, fields);
+        const accepted = new Set(entries.map((e, i) => (hasMergeChanges(e) && e.kind !== 'removed' ? i : -1)).filter(i => i >= 0));
+        const choices = new Map();
+        const conflictKeys = entries.flatMap((e, i) => e.tasks.flatMap((r, j) => (r.conflicts || []).map(f => `${i}:${j}:${f}`)));
         const html = `
-      <h3>Create New Section</h3>
-      <div style="display:flex;gap:8px;margin-top:8px;">
-        <input id="mm-sec-title" placeholder="Section title (required)" style="flex:1;padding:8px;border-radius:6px;border:1px solid rgba(0,0,0,0.1)" />
-        <input id="mm-sec-color" type="color" value="${escapeHtml(prefill.color || '#38bdf8')}" style="width:84px;border-radius:6px;padding:4px" />
-      </div>
-      <div style="display:flex;gap:8px;margin-top:8px;">
-        <input id="mm-sec-tag" placeholder="Tag (e.g. infra)" style="flex:1;padding:8px;border-radius:6px;border:1px solid rgba(0,0,0,0.1)" />
-        <input id="mm-sec-due" type="date" style="padding:8px;border-radius:6px" />
+      <h3>🔀 Merge ${escapeHtml(fileName)} into ${escapeHtml(quote(boardMeta.title))}</h3>
+      <p style="color:var(--muted);margin:4px 0 8px">Tick the sections to take. <b>+</b> added, <b>~</b> changed, <b>−</b> missing from the file.</p>
+      <div style="display:flex;gap:8px;align-items:center;flex-wrap:wrap;margin-bottom:8px">
+        <label><input type="checkbox" id="mm-prune" /> Remove tasks and sections missing from the file</label>
+        ${conflictKeys.length ? `<span style="margin-left:auto;display:flex;gap:6px">
+          <button id="mm-all-mine" class="small">Keep all mine</button>
+          <button id="mm-all-theirs" class="small">Take all theirs</button>
+        </span>` : ''}
       </div>
-      <label style="margin-top:8px;display:block">Tasks — one per line</label>
-      <textarea id="mm-sec-tasks" rows="6" style="width:100%;padding:8px;border-radius:8px;border:1px solid rgba(0,0,0,0.08);margin-top:6px" placeholder="task one\ntask two"></textarea>
-      <div style="display:flex;gap:8px;justify-content:flex-end;margin-top:10px">
+      <div id="mm-diff" class="merge-diff">${entries.map(mergeSectionHtml).join('') || '<p style="color:var(--muted)">Nothing to merge.</p>'}</div>
+      <div style="display:flex;gap:8px;justify-content:flex-end;align-items:center;margin-top:14px">
+        <span id="mm-pending" style="color:var(--muted);margin-right:auto"></span>
         <button id="mm-cancel" class="small">Cancel</button>
-        <button id="mm-create" class="pill">Create</button>
+        <button id="mm-apply" class="pill">🔀 Apply merge</button>
       </div>
     `;
-        const m = mm.open(html, ({ container, close }) => {
+        mm.open(html, ({ container, close }) => {
+            const applyBtn = container.querySelector('#mm-apply');
+            const pending = container.querySelector('#mm-pending');
+            const refresh = () => {
+                const open = conflictKeys.filter(k => accepted.has(Number(k.split(':')[0])) && !choices.has(k)).length;
+                pending.textContent = open ? `${open} conflict${open === 1 ? '' : 's'} to resolve` : '';
+                applyBtn.disabled = open > 0 || accepted.size === 0;
+                container.querySelectorAll('.merge-section').forEach((el, i) => el.classList.toggle('skipped', !accepted.has(i)));
+            };
+            const chooseAll = (value) => {
+                conflictKeys.forEach(k => choices.set(k, value));
+                container.querySelectorAll(`input[data-choice][value="${value}"]`).forEach(r => { r.checked = true; });
+                refresh();
+            };
+            container.addEventListener('change', (e) => {
+                const el = e.target;
+                if (el.dataset.entry !== undefined) {
+                    if (el.checked) accepted.add(Number(el.dataset.entry)); else accepted.delete(Number(el.dataset.entry));
+                } else if (el.dataset.choice) {
+                    choices.set(el.dataset.choice, el.value);
+                } else if (el.id === 'mm-prune') {
+                    container.querySelector('#mm-diff').classList.toggle('prune', el.checked);
+                    container.querySelectorAll('.merge-keep').forEach(n => { n.textContent = el.checked ? 'will be removed' : 'kept'; });
+                }
+                refresh();
+            });
+            if (conflictKeys.length) {
+                container.querySelector('#mm-all-mine').addEventListener('click', () => chooseAll('mine'));
+                container.querySelector('#mm-all-theirs').addEventListener('click', () => chooseAll('theirs'));
+            }
             container.querySelector('#mm-cancel').addEventListener('click', close);
-            container.querySelector('#mm-create').addEventListener('click', async () => {
-                const title = container.querySelector('#mm-sec-title').value.trim();
-                const color = container.querySelector('#mm-sec-color').value;
-                const tag = container.querySelector('#mm-sec-tag').value.trim();
-                const due = container.querySelector('#mm-sec-due').value || '';
-                const tasks = (container.querySelector('#mm-sec-tasks').value || '').split('\n').map(s => s.trim()).filter(Boolean);
-                if (!title) { alert('Section title is required'); return; }
-                const obj = { id: uid('sec'), title, color, tag, due, tasks: tasks.map(t => ({ text: t, done: false, desc: '' })) };
-                const data = await loadData(); data.unshift(obj);
-                await saveData(data);
-                close(); renderAll(); toast('Section created');
+            applyBtn.addEventListener('click', async () => {
+                close();
+                const prune = container.querySelector('#mm-prune').checked;
+                await backupBoard('before merge');
+                const sections = applyMerge(current, entries, { accepted, choices, prune });
+                await saveData(sections, { label: `merge ${quote(fileName)}` });
+                renderAll();
+                toast(`Merged ${accepted.size} section${accepted.size === 1 ? '' : 's'} from ${quote(fileName)} (Ctrl+Z to undo)`);
             });
+            refresh();
         });
     }
 
-    function openEditModal(section) {
-        const html = `
-      <h3>Edit Section</h3>
-      <div style="display:flex;gap:8px;margin-top:8px;">
-        <input id="mm-sec-title" placeholder="Section title" value="${escapeHtml(section.title)}" style="flex:1;padding:8px;border-radius:6px;border:1px solid rgba(0,0,0,0.1)" />
-        <input id="mm-sec-color" type="color" value="${escapeHtml(section.color || '#38bdf8')}" style="width:84px;border-radius:6px;padding:4px" />
-      </div>
-      <div style="display:flex;gap:8px;margin-top:8px;">
-        <input id="mm-sec-tag" placeholder="Tag" value="${escapeHtml(section.tag || '')}" style="flex:1;padding:8px;border-radius:6px;border:1px solid rgba(0,0,0,0.1)" />
-        <input id="mm-sec-due" type="date" value="${escapeHtml(section.due || '')}" style="padding:8px;border-radius:6px" />
+    /* -------------------------
+       Backups — rotating snapshots of each board in IndexedDB
+       - hourly while the app is open (skipped when nothing changed), plus before imports, merges, section and board deletes
+       - index per board at `backups:<boardKey>`, each snapshot at `backup:<id>`; only the newest `keep` survive
+       - deleting a whole board snapshots it first; its snapshots stay and the board is listed under "Deleted boards"
+       ------------------------- */
+    function readBackupSettings() {
+        try {
+            const s = JSON.parse(localStorage.getItem(BACKUP_SETTINGS_KEY)) || {};
+            const keep = Math.floor(Number(s.keep));
+            return { keep: keep >= BACKUP_KEEP_MIN && keep <= BACKUP_KEEP_MAX ? keep : BACKUP_KEEP_DEFAULT, hourly: s.hourly !== false };
+        } catch { return { keep: BACKUP_KEEP_DEFAULT, hourly: true }; }
+    }
+
+    function backupIndexKey(id = boardsIndex.active) { return `backups:${boardKey(id)}`; }
+
+    async function listBackups(id = boardsIndex.active) {
+        const list = await idbGet(backupIndexKey(id));
+        return Array.isArray(list) ? list : [];
+    }
+
+    // cheap change detector so hourly snapshots don't pile up copies of an idle board
+    function storeSignature(store) {
+        const s = JSON.stringify(store.sections);
+        let h = 5381;
+        for (let i = 0; i < s.length; i++) h = ((h * 33) ^ s.charCodeAt(i)) >>> 0;
+        return `${s.length}:${h.toString(36)}`;
+    }
+
+    async function backupBoard(reason, id = boardsIndex.active) {
+        const store = readBoardStore(id);
+        if (!store) return null;
+        const list = await listBackups(id);
+        const sig = storeSignature(store);
+        if (reason === 'hourly' && list[0] && list[0].sig === sig) return null;
+        const entry = {
+            id: uid('backup'),
+            at: nowISO(),
+            reason,
+            title: store.board.title,
+            sections: store.sections.length,
+            tasks: store.sections.reduce((a, s) => a + s.tasks.length, 0),
+            sig
+        };
+        if (!await idbPut(`backup:${entry.id}`, store)) return null;
+        const { keep } = readBackupSettings();
+        const next = [entry, ...list];
+        await Promise.all(next.slice(keep).map(b => idbDelete(`backup:${b.id}`)));
+        await idbPut(backupIndexKey(id), next.slice(0, keep));
+        log('Backup', reason, entry.id);
+        return entry;
+    }
+
+    async function pruneBackups() {
+        const { keep } = readBackupSettings();
+        for (const b of [...boardsIndex.boards, ...await listDeletedBoards()]) {
+            const list = await listBackups(b.id);
+            if (list.length <= keep) continue;
+            await Promise.all(list.slice(keep).map(x => idbDelete(`backup:${x.id}`)));
+            await idbPut(backupIndexKey(b.id), list.slice(0, keep));
+        }
+    }
+
+    async function listDeletedBoards() {
+        const list = await idbGet(DELETED_BOARDS_IDB);
+        return Array.isArray(list) ? list : [];
+    }
+
+    async function rememberDeletedBoard(id, title) {
+        const list = (await listDeletedBoards()).filter(d => d.id !== id);
+        await idbPut(DELETED_BOARDS_IDB, [{ id, title, at: nowISO() }, ...list]);
+    }
+
+    // Bring a deleted board back under its old id, so its snapshot history reattaches
+    async function restoreDeletedBoard(deleted) {
+        const entry = (await listBackups(deleted.id))[0];
+        const store = entry && await idbGet(`backup:${entry.id}`);
+        if (!store) { toast('Backup not found'); return; }
+        const snapshot = normalizeStore(store);
+        writeBoardStore(deleted.id, snapshot);
+        boardsIndex.boards.push({ id: deleted.id, title: snapshot.board.title });
+        persistBoardsIndex();
+        await idbPut(DELETED_BOARDS_IDB, (await listDeletedBoards()).filter(d => d.id !== deleted.id));
+        await switchBoard(deleted.id);
+        renderBoardSwitcher();
+        toast(`Restored board ${quote(snapshot.board.title)}`);
+    }
+
+    async function maybeHourlyBackup() {
+        if (!readBackupSettings().hourly) return;
+        const last = (await listBackups())[0];
+        if (last && Date.now() - new Date(last.at).getTime() < BACKUP_INTERVAL) return;
+        await backupBoard('hourly');
+    }
+
+    async function restoreBackup(entry, sectionId = null) {
+        const store = await idbGet(`backup:${entry.id}`);
+        if (!store) { toast('Backup not found'); return; }
+        const snapshot = normalizeStore(store);
+        const when = new Date(entry.at).toLocaleString();
+        await backupBoard('before restore');
+        if (!sectionId) {
+            boardMeta = snapshot.board;
+            await saveData(snapshot.sections, { label: `restore backup from ${when}` });
+            renderAll();
+            toast(`Restored board from ${when} (Ctrl+Z to undo)`);
+            return;
+        }
+        const section = snapshot.sections.find(s => s.id === sectionId);
+        const data = await loadData();
+        const i = data.findIndex(s => s.id === sectionId);
+        if (i >= 0) data[i] = section; else data.push(section);
+        await saveData(data, { label: `restore section ${quote(section.title)}` });
+        renderAll();
+        toast(`Restored ${quote(section.title)} from ${when}`);
+    }
+
+    function backupPreviewHtml(store) {
+        return `<ul style="margin:6px 0 0 18px;padding:0">${store.sections.map(s => `
+          <li style="margin:4px 0"><b>${escapeHtml(s.title)}</b> <span style="color:var(--muted)">— ${s.tasks.length} task${s.tasks.length === 1 ? '' : 's'}, ${s.tasks.filter(t => t.done).length} done</span>
+            <button class="small" data-restore-section="${escapeHtml(s.id)}">↩ Restore section</button>
+            <div style="color:var(--muted);font-size:0.85rem">${s.tasks.slice(0, 4).map(t => `${t.done ? '☑' : '☐'} ${escapeHtml(t.text)}`).join(' • ')}${s.tasks.length > 4 ? ` • … ${s.tasks.length - 4} more` : ''}</div>
+          </li>`).join('')}</ul>`;
+    }
+
+    async function openBackupsModal() {
+        const settings = readBackupSettings();
+        const list = await listBackups();
+        // only deleted boards that still have a snapshot to come back from
+        const deleted = [];
+        for (const d of await listDeletedBoards()) {
+            const latest = (await listBackups(d.id))[0];
+            if (latest && !boardsIndex.boards.some(b => b.id === d.id)) deleted.push({ ...d, latest });
+        }
+        const rows = list.map((b, i) => `
+        <li class="backup-row" data-idx="${i}">
+          <div class="backup-main">
+            <span><b>${escapeHtml(new Date(b.at).toLocaleString())}</b> <span class="tag">${escapeHtml(b.reason)}</span></span>
+            <span style="color:var(--muted)">${b.sections} sections • ${b.tasks} tasks</span>
+            <span style="margin-left:auto;display:flex;gap:6px">
+              <button class="small" data-preview>👁 Preview</button>
+              <button class="small" data-restore>↩ Restore board</button>
+            </span>
+          </div>
+          <div class="backup-preview hidden"></div>
+        </li>`).join('');
+        const html = `
+      <h3>🗄️ Backups — ${escapeHtml(boardMeta.title)}</h3>
+      <div style="display:flex;gap:12px;align-items:center;flex-wrap:wrap;margin:6px 0 10px">
+        <label><input type="checkbox" id="mm-hourly"${settings.hourly ? ' checked' : ''} /> Hourly snapshots</label>
+        <label>Keep last <input id="mm-keep" type="number" class="inline-input" style="width:5em" min="${BACKUP_KEEP_MIN}" max="${BACKUP_KEEP_MAX}" value="${settings.keep}" /> per board</label>
+        <button id="mm-backup-now" class="small" style="margin-left:auto">💾 Back up now</button>
       </div>
-      <label style="margin-top:8px;display:block">Tasks — one per line (will reset done & desc)</label>
-      <textarea id="mm-sec-tasks" rows="6" style="width:100%;padding:8px;border-radius:8px;border:1px solid rgba(0,0,0,0.08);margin-top:6px">${(section.tasks || []).map(t => escapeHtml(t.text)).join('\n')}</textarea>
-      <div style="display:flex;gap:8px;justify-content:flex-end;margin-top:10px">
-        <button id="mm-cancel" class="small">Cancel</button>
-        <button id="mm-save" class="pill">Save</button>
+      ${list.length ? `<ul class="backup-list">${rows}</ul>` : '<p style="color:var(--muted)">No snapshots yet — one is taken every hour and before imports or deletes.</p>'}
+      ${deleted.length ? `
+      <h4 style="margin:14px 0 6px">🗑 Deleted boards</h4>
+      <ul class="backup-list">${deleted.map((d, i) => `
+        <li class="backup-row">
+          <div class="backup-main">
+            <span><b>${escapeHtml(d.title)}</b> <span style="color:var(--muted)">deleted ${escapeHtml(new Date(d.at).toLocaleString())}</span></span>
+            <span style="color:var(--muted)">${d.latest.sections} sections • ${d.latest.tasks} tasks</span>
+            <span style="margin-left:auto"><button class="small" data-undelete="${i}">↩ Restore board</button></span>
+          </div>
+        </li>`).join('')}</ul>` : ''}
+      <div style="display:flex;gap:8px;justify-content:flex-end;margin-top:14px">
+        <button id="mm-close" class="small">Close</button>
       </div>
     `;
-        const m = mm.open(html, ({ container, close }) => {
-            container.querySelector('#mm-cancel').addEventListener('click', close);
-            container.querySelector('#mm-save').addEventListener('click', async () => {
-                const title = container.querySelector('#mm-sec-title').value.trim();
-                const color = container.querySelector('#mm-sec-color').value;
-                const tag = container.querySelector('#mm-sec-tag').value.trim();
-                const due = container.querySelector('#mm-sec-due').value || '';
-                const tasksRaw = (container.querySelector('#mm-sec-tasks').value || '').split('\n').map(s => s.trim()).filter(Boolean);
-                if (!title) { alert('Section title required'); return; }
-                const data = await loadData(); const sec = data.find(s => s.id === section.id);
-                if (!sec) return;
-                sec.title = title; sec.color = color; sec.tag = tag; sec.due = due;
-                sec.tasks = tasksRaw.map(t => ({ text: t, done: false, desc: '' }));
-                await saveData(data); close(); renderAll(); toast('Section saved');
+        mm.open(html, ({ container, close }) => {
+            const saveSettings = () => {
+                const keep = Math.min(BACKUP_KEEP_MAX, Math.max(BACKUP_KEEP_MIN, Math.floor(Number(container.querySelector('#mm-keep').value)) || BACKUP_KEEP_DEFAULT));
+                localStorage.setItem(BACKUP_SETTINGS_KEY, JSON.stringify({ keep, hourly: container.querySelector('#mm-hourly').checked }));
+                container.querySelector('#mm-keep').value = keep;
+                pruneBackups();
+            };
+            container.querySelector('#mm-hourly').addEventListener('change', saveSettings);
+            container.querySelector('#mm-keep').addEventListener('change', saveSettings);
+            container.querySelector('#mm-close').addEventListener('click', close);
+            container.querySelector('#mm-backup-now').addEventListener('click', async () => {
+                const entry = await backupBoard('manual');
+                toast(entry ? 'Backup saved' : 'Backup failed — IndexedDB unavailable');
+                if (entry) openBackupsModal();
+            });
+            container.querySelectorAll('[data-undelete]').forEach(btn => btn.addEventListener('click', async () => {
+                close();
+                await restoreDeletedBoard(deleted[Number(btn.dataset.undelete)]);
+            }));
+            container.querySelectorAll('.backup-row[data-idx]').forEach(row => {
+                const entry = list[Number(row.dataset.idx)];
+                const preview = row.querySelector('.backup-preview');
+                row.querySelector('[data-preview]').addEventListener('click', async () => {
+                    if (!preview.classList.contains('hidden')) { preview.classList.add('hidden'); return; }
+                    const store = await idbGet(`backup:${entry.id}`);
+                    preview.innerHTML = store ? backupPreviewHtml(normalizeStore(store)) : '<p style="color:var(--danger-text)">Snapshot missing.</p>';
+                    preview.classList.remove('hidden');
+                    preview.querySelectorAll('[data-restore-section]').forEach(btn => btn.addEventListener('click', async () => {
+                        close();
+                        await restoreBackup(entry, btn.dataset.restoreSection);
+                    }));
+                });
+                row.querySelector('[data-restore]').addEventListener('click', async () => {
+                    if (!confirm(`Replace ${quote(boardMeta.title)} with the snapshot from ${new Date(entry.at).toLocaleString()}?`)) return;
+                    close();
+                    await restoreBackup(entry);
+                });
             });
         });
     }
 
-function openTaskModal(sectionId, taskIdx, current = '') {
-    const modal = document.getElementById('task-modal');
-    const input = document.getElementById('task-input');
-    const saveBtn = document.getElementById('task-save');
-    const cancelBtn = document.getElementById('task-cancel');
-
-    input.value = current || '';
-    modal.classList.remove('hidden');
-
-    const closeModal = () => modal.classList.add('hidden');
+    /* -------------------------
+       Time tracking — one running timer at a time, entries logged on the task as { start, end }
+       - the running timer lives in TIMER_KEY (not board data) so it survives reloads and board switches
+       - stopping writes the entry to whichever board the task lives on
+       ------------------------- */
+    let timerTicker = null;
 
-    cancelBtn.onclick = closeModal;
+    function readTimer() {
+        try {
+            const t = JSON.parse(localStorage.getItem(TIMER_KEY));
+            return t && typeof t.taskId === 'string' && typeof t.start === 'string' ? t : null;
+        } catch { return null; }
+    }
 
-    saveBtn.onclick = async () => {
-        const newText = input.value.trim();
-        if (!newText) return;
-        const data = await loadData();
-        const sec = data.find(s => s.id === sectionId);
-        if (!sec || !sec.tasks[taskIdx]) return;
-        sec.tasks[taskIdx].text = newText;
-        await saveData(data);
-        closeModal();
-        renderAll();
-        toast('✅ Task updated');
-    };
+    function entryMs(e) { return Math.max(0, new Date(e.end) - new Date(e.start)); }
+    function taskTimeMs(t) { return (t.time || []).reduce((a, e) => a + entryMs(e), 0); }
+    function sectionTimeMs(section) { return section.tasks.reduce((a, t) => a + taskTimeMs(t), 0); }
 
-    modal.addEventListener('keydown', (e) => {
-        if (e.key === 'Enter') saveBtn.click();
-        if (e.key === 'Escape') closeModal();
-    });
+    function formatDuration(ms) {
+        const mins = Math.round(ms / 60000);
+        if (mins < 60) return `${mins}m`;
+        return `${Math.floor(mins / 60)}h ${String(mins % 60).padStart(2, '0')}m`;
+    }
 
-    input.focus();
-}
+    function formatClock(ms) {
+        const s = Math.floor(ms / 1000);
+        return [Math.floor(s / 3600), Math.floor(s / 60) % 60, s % 60].map(n => String(n).padStart(2, '0')).join(':');
+    }
 
+    async function startTimer(secId, taskId) {
+        if (readTimer()) await stopTimer();
+        const task = (readSections().find(s => s.id === secId)?.tasks || []).find(t => t.id === taskId);
+        if (!task) return;
+        localStorage.setItem(TIMER_KEY, JSON.stringify({ board: boardsIndex.active, secId, taskId, text: task.text, start: nowISO() }));
+        refreshTimerUi();
+        toast(`⏱ Timer started — ${quote(task.text)}`);
+    }
 
+    async function stopTimer() {
+        const timer = readTimer();
+        if (!timer) return;
+        localStorage.removeItem(TIMER_KEY);
+        const entry = { id: uid('time'), start: timer.start, end: nowISO() };
+        const findTask = (sections) => {
+            // tasks can move between sections while the clock runs
+            for (const s of sections) {
+                const t = s.tasks.find(x => x.id === timer.taskId);
+                if (t) return t;
+            }
+            return null;
+        };
+        const spent = formatDuration(entryMs(entry));
+        const label = `log ${spent} on ${quote(timer.text)}`;
+        let task = null;
+        if (timer.board === boardsIndex.active) {
+            const data = await loadData();
+            task = findTask(data);
+            if (task) {
+                task.time = [...(task.time || []), entry];
+                await saveData(data, { label });
+                renderAll();
+            }
+        } else {
+            const store = readBoardStore(timer.board);
+            task = store && findTask(store.sections);
+            if (task) {
+                task.time = [...(task.time || []), entry];
+                saveBoardStore(timer.board, store, label);
+            }
+        }
+        refreshTimerUi();
+        // deleted while the clock ran → nothing to log it on, so the entry is dropped
+        toast(task ? `⏱ Logged ${spent} on ${quote(timer.text)}` : `⏱ ${quote(timer.text)} was deleted — ${spent} not logged`);
+    }
 
+    // Topbar indicator + every task's start/stop button
+    function refreshTimerUi() {
+        const timer = readTimer();
+        const indicator = document.getElementById('timer-indicator');
+        const tick = () => {
+            if (indicator) indicator.textContent = `⏱ ${formatClock(Date.now() - new Date(timer.start))} · ${timer.text}`;
+        };
+        clearInterval(timerTicker);
+        timerTicker = null;
+        if (indicator) indicator.classList.toggle('hidden', !timer);
+        if (timer) { tick(); timerTicker = setInterval(tick, 1000); }
+        document.querySelectorAll('.timer-toggle').forEach(btn => {
+            const running = !!timer && timer.board === boardsIndex.active && btn.dataset.taskId === timer.taskId;
+            btn.classList.toggle('running', running);
+            btn.textContent = running ? '⏹' : '⏱';
+            btn.title = running ? 'Stop timer' : 'Start timer';
+        });
+    }
 
-    /* -------------------------
-       Import / Export
-       ------------------------- */
-    exportBtn.addEventListener('click', async () => {
-        const data = await loadData();
-        const blob = new Blob([JSON.stringify(data, null, 2)], { type: 'application/json' });
-        const url = URL.createObjectURL(blob);
-        const a = document.createElement('a'); a.href = url;
-        a.download = `dashboard_backup_${(new Date()).toISOString().slice(0, 19).replace(/[:T]/g, '-')}.json`;
-        a.click();
-        URL.revokeObjectURL(url);
-        toast('Exported JSON');
-    });
+    // Entries clipped to [from, to] (inclusive local days), one row per entry
+    function timeEntriesInRange(sections, from, to) {
+        const lo = parseDateKey(from).getTime();
+        const hi = addDays(parseDateKey(to), 1).getTime();
+        const rows = [];
+        sections.forEach(s => s.tasks.forEach(t => (t.time || []).forEach(e => {
+            const start = Math.max(lo, new Date(e.start).getTime());
+            const end = Math.min(hi, new Date(e.end).getTime());
+            if (end > start) rows.push({ section: s, task: t, start, end, ms: end - start });
+        })));
+        return rows.sort((a, b) => a.start - b.start);
+    }
 
-    importBtn.addEventListener('click', () => {
-        const input = document.createElement('input'); input.type = 'file'; input.accept = '.json,application/json';
-        input.addEventListener('change', async () => {
-            const file = input.files[0]; if (!file) return;
-            const reader = new FileReader();
-            reader.onload = async () => {
-                try {
-                    const json = JSON.parse(reader.result);
-                    if (!Array.isArray(json)) throw new Error('Invalid format: expected array of sections');
-                    // validate
-                    for (const s of json) {
-                        if (typeof s.id !== 'string' || typeof s.title !== 'string' || !Array.isArray(s.tasks)) throw new Error('Invalid section shape');
-                        for (const t of s.tasks) {
-                            if (typeof (t && t.text) !== 'string') throw new Error('Invalid task shape: missing text');
-                        }
-                    }
-                    lastSnapshot = localStorage.getItem(STORAGE_KEY);
-                    const normalized = json.map(s => ({
-                        id: s.id,
-                        title: s.title,
-                        tag: s.tag || '',
-                        color: s.color || '#888',
-                        due: s.due || '',
-                        tasks: (s.tasks || []).map(t => ({ text: String(t.text || ''), done: !!t.done, desc: typeof t.desc === 'string' ? t.desc : '' }))
-                    }));
-                    await saveData(normalized);
-                    renderAll();
-                    toast('Imported JSON successfully');
-                } catch (err) {
-                    alert('Import failed: ' + (err && err.message ? err.message : String(err)));
-                }
+    function openTimeReportModal() {
+        const today = todayDate();
+        const html = `
+      <h3>⏱ Time report — ${escapeHtml(boardMeta.title)}</h3>
+      <div style="display:flex;gap:10px;align-items:center;flex-wrap:wrap;margin:6px 0 10px">
+        <label>From <input id="mm-from" type="date" class="inline-input" style="width:auto" value="${dateKey(new Date(today.getFullYear(), today.getMonth(), 1))}" /></label>
+        <label>To <input id="mm-to" type="date" class="inline-input" style="width:auto" value="${dateKey(today)}" /></label>
+      </div>
+      <div id="mm-report" class="time-report"></div>
+      <div style="display:flex;gap:8px;justify-content:flex-end;margin-top:14px">
+        <button id="mm-close" class="small">Close</button>
+        <button id="mm-csv" class="pill">📤 Export CSV</button>
+      </div>
+    `;
+        mm.open(html, ({ container, close }) => {
+            const fromEl = container.querySelector('#mm-from');
+            const toEl = container.querySelector('#mm-to');
+            let rows = [];
+            const table = (title, totals, total) => `
+        <table class="time-table">
+          <thead><tr><th>${title}</th><th>Time</th><th>Share</th></tr></thead>
+          <tbody>${totals.map(([name, ms]) => `<tr><td>${escapeHtml(name)}</td><td>${formatDuration(ms)}</td><td>${total ? Math.round(ms / total * 100) : 0}%</td></tr>`).join('')}</tbody>
+        </table>`;
+            const refresh = () => {
+                const from = fromEl.value || dateKey(today);
+                const to = toEl.value && toEl.value >= from ? toEl.value : from;
+                rows = timeEntriesInRange(readSections(), from, to);
+                const total = rows.reduce((a, r) => a + r.ms, 0);
+                const bySection = new Map();
+                const byTag = new Map();
+                rows.forEach(r => {
+                    bySection.set(r.section.title, (bySection.get(r.section.title) || 0) + r.ms);
+                    // a task with several tags counts toward each of them
+                    (r.task.tags.length ? r.task.tags.map(x => `#${x}`) : ['(untagged)']).forEach(tag => byTag.set(tag, (byTag.get(tag) || 0) + r.ms));
+                });
+                const sorted = (m) => [...m.entries()].sort((a, b) => b[1] - a[1]);
+                container.querySelector('#mm-report').innerHTML = rows.length
+                    ? `<p style="margin:0 0 8px"><b>${formatDuration(total)}</b> <span style="color:var(--muted)">in ${rows.length} entr${rows.length === 1 ? 'y' : 'ies'}</span></p>
+                       ${table('Section', sorted(bySection), total)}${table('Tag', sorted(byTag), total)}`
+                    : '<p style="color:var(--muted)">No time logged in this range.</p>';
+                container.querySelector('#mm-csv').disabled = !rows.length;
             };
-            reader.readAsText(file);
+            fromEl.addEventListener('change', refresh);
+            toEl.addEventListener('change', refresh);
+            container.querySelector('#mm-close').addEventListener('click', close);
+            container.querySelector('#mm-csv').addEventListener('click', () => {
+                const stamp = (ms) => { const d = new Date(ms); return `${dateKey(d)} ${String(d.getHours()).padStart(2, '0')}:${String(d.getMinutes()).padStart(2, '0')}`; };
+                const lines = [['date', 'section', 'task', 'tags', 'start', 'end', 'minutes']].concat(rows.map(r => [
+                    dateKey(new Date(r.start)), r.section.title, r.task.text, r.task.tags.join(' '), stamp(r.start), stamp(r.end), Math.round(r.ms / 60000)
+                ]));
+                downloadFile(lines.map(l => l.map(csvCell).join(',')).join('\r\n') + '\r\n', `time_report_${fromEl.value}_${toEl.value}.csv`, 'text/csv');
+                toast('Exported time report');
+            });
+            refresh();
         });
-        input.click();
-    });
+    }
 
     /* -------------------------
        Quick Add
@@ -1094,8 +4965,8 @@ function openTaskModal(sectionId, taskIdx, current = '') {
         if (!data.length) { openInitModal(); return; }
         const q = prompt('Quick add task to top section');
         if (!q) return;
-        data[0].tasks.unshift({ text: q.trim(), done: false, desc: '' });
-        await saveData(data);
+        data[0].tasks.unshift(makeTask(q.trim()));
+        await saveData(data, { label: `quick add ${quote(q)}` });
         renderAll();
         toast('Quick task added');
     });
@@ -1103,14 +4974,69 @@ function openTaskModal(sectionId, taskIdx, current = '') {
     /* -------------------------
        Search + Filter
        ------------------------- */
-    searchInput.addEventListener('input', debounce(() => renderAll(), 180));
-    filterSelect.addEventListener('change', () => renderAll());
+    // Saved filters live on the board ({ id, name, query }) and appear in the dropdown as saved:<id>
+    function savedFilterFor(value) {
+        return String(value || '').startsWith('saved:') ? boardMeta.filters.find(f => `saved:${f.id}` === value) : null;
+    }
+
+    searchInput.addEventListener('input', debounce(() => {
+        // editing the query detaches it from the saved filter it came from
+        const saved = savedFilterFor(filterSelect.value);
+        if (saved && saved.query !== searchInput.value.trim()) {
+            filterSelect.value = '';
+            rebuildFilterOptions();
+        }
+        renderAll();
+    }, 180));
+
+    filterSelect.addEventListener('change', async () => {
+        const value = filterSelect.value;
+        if (value === '__save' || value === '__delete') {
+            const prev = savedFilterFor(filterSelect.dataset.current);
+            filterSelect.value = filterSelect.dataset.current || '';
+            if (value === '__save') await saveCurrentSearch();
+            else if (prev) await deleteSavedFilter(prev);
+            return;
+        }
+        filterSelect.dataset.current = value;
+        const saved = savedFilterFor(value);
+        if (saved) searchInput.value = saved.query;
+        rebuildFilterOptions();
+        renderAll();
+    });
+
+    async function saveCurrentSearch() {
+        const query = searchInput.value.trim();
+        if (!query) { toast('Type a search first, then save it'); searchInput.focus(); return; }
+        const name = (prompt('Name this filter', query) || '').trim();
+        if (!name) return;
+        const filter = { id: uid('filter'), name, query };
+        await saveBoardMeta({ filters: [...boardMeta.filters, filter] }, `save filter ${quote(name)}`);
+        filterSelect.value = `saved:${filter.id}`;
+        rebuildFilterOptions();
+        toast(`⭐ Saved filter ${quote(name)}`);
+    }
+
+    async function deleteSavedFilter(filter) {
+        if (!confirm(`Delete saved filter ${quote(filter.name, 60)}?`)) return;
+        filterSelect.value = '';
+        await saveBoardMeta({ filters: boardMeta.filters.filter(f => f.id !== filter.id) }, `delete filter ${quote(filter.name)}`);
+        renderAll();
+    }
 
     function rebuildFilterOptions() {
-        const data = JSON.parse(localStorage.getItem(STORAGE_KEY) || '[]');
+        const data = readSections();
         const tags = Array.from(new Set(data.map(s => (s.tag || '').trim()).filter(Boolean)));
         if (filterSelect) {
-            filterSelect.innerHTML = '<option value="">Filter: All</option>' + tags.map(t => `<option value="${escapeHtml(t)}">${escapeHtml(t)}</option>`).join('');
+            const current = filterSelect.value;
+            const saved = boardMeta.filters || [];
+            const active = savedFilterFor(current);
+            filterSelect.innerHTML = '<option value="">Filter: All</option>' + tags.map(t => `<option value="${escapeHtml(t)}">${escapeHtml(t)}</option>`).join('') +
+                (saved.length ? `<optgroup label="⭐ Saved filters">${saved.map(f => `<option value="saved:${escapeHtml(f.id)}" title="${escapeHtml(f.query)}">${escapeHtml(f.name)}</option>`).join('')}</optgroup>` : '') +
+                '<option value="__save">💾 Save current search…</option>' +
+                (active ? `<option value="__delete">🗑 Delete “${escapeHtml(active.name)}”</option>` : '');
+            filterSelect.value = Array.from(filterSelect.options).some(o => o.value === current) ? current : '';
+            filterSelect.dataset.current = filterSelect.value;
         }
     }
 
@@ -1118,6 +5044,13 @@ function openTaskModal(sectionId, taskIdx, current = '') {
        Drag & Drop
        ------------------------- */
     function initDragAndDrop() {
+        // board columns accept drops on empty space (status change only)
+        document.querySelectorAll('.kanban-column').forEach(col => {
+            col.addEventListener('dragover', taskDragOver);
+            col.addEventListener('drop', columnDrop);
+        });
+        document.querySelectorAll('.kanban-list > li').forEach(bindTaskDrag);
+
         const sections = Array.from(document.querySelectorAll('.todo-section'));
         sections.forEach(sec => {
             sec.removeEventListener('dragstart', sectionDragStart);
@@ -1132,20 +5065,22 @@ function openTaskModal(sectionId, taskIdx, current = '') {
 
             const ul = sec.querySelector('ul.tasks');
             if (!ul) return;
-            Array.from(ul.querySelectorAll('li')).forEach(li => {
-                li.removeEventListener('dragstart', taskDragStart);
-                li.removeEventListener('dragover', taskDragOver);
-                li.removeEventListener('drop', taskDrop);
-                li.removeEventListener('dragend', taskDragEnd);
-
-                li.addEventListener('dragstart', taskDragStart);
-                li.addEventListener('dragover', taskDragOver);
-                li.addEventListener('drop', taskDrop);
-                li.addEventListener('dragend', taskDragEnd);
-            });
+            Array.from(ul.querySelectorAll(':scope > li')).forEach(bindTaskDrag);
         });
     }
 
+    function bindTaskDrag(li) {
+        li.removeEventListener('dragstart', taskDragStart);
+        li.removeEventListener('dragover', taskDragOver);
+        li.removeEventListener('drop', taskDrop);
+        li.removeEventListener('dragend', taskDragEnd);
+
+        li.addEventListener('dragstart', taskDragStart);
+        li.addEventListener('dragover', taskDragOver);
+        li.addEventListener('drop', taskDrop);
+        li.addEventListener('dragend', taskDragEnd);
+    }
+
     let draggingSectionId = null;
     function sectionDragStart(e) { this.classList.add('dragging'); draggingSectionId = this.dataset.id; e.dataTransfer.effectAllowed = 'move'; }
     function sectionDragOver(e) { e.preventDefault(); e.dataTransfer.dropEffect = 'move'; }
@@ -1161,76 +5096,699 @@ function openTaskModal(sectionId, taskIdx, current = '') {
             if (fromIdx === -1 || toIdx === -1) return;
             const [moved] = data.splice(fromIdx, 1);
             data.splice(toIdx, 0, moved);
-            await saveData(data);
+            await saveData(data, { label: `move section ${quote(moved.title)}` });
             renderAll();
+            announce(`Section ${moved.title} moved to position ${toIdx + 1} of ${data.length}`);
         })();
     }
     function sectionDragEnd() { this.classList.remove('dragging'); draggingSectionId = null; }
 
     let draggingTask = null;
+    // task handlers stop propagation so the enclosing section never starts/accepts a section drag
     function taskDragStart(e) {
+        e.stopPropagation();
         this.classList.add('dragging');
-        const secEl = this.closest('.todo-section');
-        draggingTask = { secId: secEl && secEl.dataset && secEl.dataset.id, idx: Number(this.dataset.idx) };
+        draggingTask = { secId: this.dataset.secId, taskId: this.dataset.taskId };
         e.dataTransfer.effectAllowed = 'move';
     }
-    function taskDragOver(e) { e.preventDefault(); e.dataTransfer.dropEffect = 'move'; }
+    function taskDragOver(e) {
+        if (!draggingTask) return;
+        e.preventDefault(); e.stopPropagation();
+        e.dataTransfer.dropEffect = 'move';
+    }
     function taskDrop(e) {
-        e.preventDefault();
+        if (!draggingTask) return;
+        e.preventDefault(); e.stopPropagation();
         const targetLi = this;
-        const targetSecEl = targetLi.closest('.todo-section');
-        if (!draggingTask || !targetSecEl) return;
+        const column = targetLi.closest('.kanban-column');
+        const from = draggingTask;
+        draggingTask = null;
         (async () => {
-            const toSecId = targetSecEl.dataset.id;
+            // board: the column decides the status; position only changes within the same section
+            const toSecId = column && targetLi.dataset.secId !== from.secId ? from.secId : targetLi.dataset.secId;
             const data = await loadData();
-            const fromSec = data.find(s => s.id === draggingTask.secId);
+            const fromSec = data.find(s => s.id === from.secId);
             const toSec = data.find(s => s.id === toSecId);
-            if (!fromSec || !toSec) return;
-            const [moved] = fromSec.tasks.splice(draggingTask.idx, 1);
-            const toIdx = Number(targetLi.dataset.idx);
-            toSec.tasks.splice(toIdx, 0, moved);
-            await saveData(data); renderAll();
-            draggingTask = null;
+            const fromIdx = findTaskIndex(fromSec, from.taskId);
+            if (!toSec || fromIdx === -1) return;
+            const moved = fromSec.tasks[fromIdx];
+            const statusChange = !!column && column.dataset.status !== moved.status;
+            if (targetLi.dataset.taskId === from.taskId && !statusChange) return;
+            if (targetLi.dataset.taskId !== from.taskId && toSecId === targetLi.dataset.secId) {
+                const toIdx = findTaskIndex(toSec, targetLi.dataset.taskId);
+                fromSec.tasks.splice(fromIdx, 1);
+                toSec.tasks.splice(toIdx === -1 ? toSec.tasks.length : toIdx, 0, moved);
+            }
+            if (statusChange) setTaskStatus(moved, column.dataset.status);
+            const label = statusChange
+                ? `move task ${quote(moved.text)} to ${STATUSES.find(x => x.id === moved.status).label}`
+                : `move task ${quote(moved.text)}`;
+            await saveData(data, { label }); renderAll();
+            announce(statusChange
+                ? `Task moved to ${STATUSES.find(x => x.id === moved.status).label}`
+                : `Task moved to ${toSec.title}, position ${findTaskIndex(toSec, moved.id) + 1}`);
         })();
     }
-    function taskDragEnd() { this.classList.remove('dragging'); }
+    function columnDrop(e) {
+        if (!draggingTask) return;
+        e.preventDefault();
+        const status = this.dataset.status;
+        const from = draggingTask;
+        draggingTask = null;
+        mutateTask(from.secId, from.taskId, (task) => `move task ${quote(task.text)} to ${STATUSES.find(x => x.id === status).label}`, (task) => {
+            if (task.status === status) return false;
+            setTaskStatus(task, status);
+        });
+    }
+    function taskDragEnd() { this.classList.remove('dragging'); draggingTask = null; }
+
+    /* -------------------------
+       Touch — pointer-event drag for phones (HTML5 drag events never fire there)
+       - long-press a task or a section header to pick it up, then drag; the page auto-scrolls near the edges
+       - the drop reuses taskDrop / columnDrop / sectionDrop, so saves, undo labels and announcements match the mouse path
+       - before the long-press fires, a horizontal swipe on a task completes it (→) or deletes it (←)
+       - mouse pointers are ignored here and keep the native drag and drop
+       ------------------------- */
+    let touchDrag = null;
+    let suppressTouchClick = false;
+    const noEvent = { preventDefault() {}, stopPropagation() {} };
+
+    function touchDropTarget(x, y) {
+        const el = document.elementFromPoint(x, y);
+        if (!el || !touchDrag) return null;
+        if (touchDrag.kind === 'section') return el.closest('section.todo-section[data-id]');
+        return el.closest('ul.tasks > li[data-task-id]') || el.closest('.kanban-column') || el.closest('section.todo-section[data-id]');
+    }
+
+    function setTouchOver(target) {
+        if (touchDrag.over === target) return;
+        if (touchDrag.over) touchDrag.over.classList.remove('drop-target');
+        touchDrag.over = target && target !== touchDrag.node ? target : null;
+        if (touchDrag.over) touchDrag.over.classList.add('drop-target');
+    }
+
+    function touchAutoScroll() {
+        if (!touchDrag || !touchDrag.active) return;
+        const h = window.innerHeight;
+        const y = touchDrag.y;
+        const speed = y < AUTO_SCROLL_EDGE ? -(AUTO_SCROLL_EDGE - y) : y > h - AUTO_SCROLL_EDGE ? y - (h - AUTO_SCROLL_EDGE) : 0;
+        if (speed) {
+            window.scrollBy(0, Math.round((speed / AUTO_SCROLL_EDGE) * AUTO_SCROLL_MAX));
+            setTouchOver(touchDropTarget(touchDrag.x, touchDrag.y));
+        }
+        touchDrag.raf = requestAnimationFrame(touchAutoScroll);
+    }
+
+    function endTouchDrag() {
+        if (!touchDrag) return;
+        clearTimeout(touchDrag.timer);
+        cancelAnimationFrame(touchDrag.raf);
+        const { node, over } = touchDrag;
+        node.classList.remove('dragging', 'swiping');
+        node.style.transform = '';
+        delete node.dataset.swipe;
+        if (over) over.classList.remove('drop-target');
+        touchDrag = null;
+    }
+
+    function dropTouchDrag() {
+        const { kind, node, over } = touchDrag;
+        if (!over) return;
+        if (kind === 'section') {
+            draggingSectionId = node.dataset.id;
+            sectionDrop.call(over, noEvent);
+            return;
+        }
+        const from = { secId: node.dataset.secId, taskId: node.dataset.taskId };
+        if (over.matches('li[data-task-id]')) { draggingTask = from; taskDrop.call(over, noEvent); }
+        else if (over.matches('.kanban-column')) { draggingTask = from; columnDrop.call(over, noEvent); }
+        else if (over.dataset.id !== from.secId) moveTaskToSection(from.secId, from.taskId, over.dataset.id);
+    }
+
+    dynamicContainer.addEventListener('pointerdown', (e) => {
+        if (e.pointerType === 'mouse' || touchDrag || dialogOpen()) return;
+        if (e.target.closest('input, textarea, select, button, a, .subtasks, .md-code')) return;
+        const task = e.target.closest('ul.tasks > li[data-task-id]');
+        const header = !task && e.target.closest('section.todo-section[data-id] > .section-header');
+        const node = task || (header && header.parentElement);
+        if (!node) return;
+        touchDrag = { kind: task ? 'task' : 'section', node, pointerId: e.pointerId, startX: e.clientX, startY: e.clientY, x: e.clientX, y: e.clientY, active: false, swipe: false, over: null };
+        touchDrag.timer = setTimeout(() => {
+            if (!touchDrag || touchDrag.swipe) return;
+            touchDrag.active = true;
+            node.classList.add('dragging');
+            if (node.setPointerCapture) { try { node.setPointerCapture(touchDrag.pointerId); } catch { /* pointer already gone */ } }
+            if (navigator.vibrate) navigator.vibrate(15);
+            announce(`Picked up ${touchDrag.kind}. Drag to move, lift to drop.`);
+            touchAutoScroll();
+        }, LONG_PRESS_MS);
+    });
+
+    window.addEventListener('pointermove', (e) => {
+        if (!touchDrag || e.pointerId !== touchDrag.pointerId) return;
+        touchDrag.x = e.clientX;
+        touchDrag.y = e.clientY;
+        const dx = e.clientX - touchDrag.startX;
+        const dy = e.clientY - touchDrag.startY;
+        if (touchDrag.active) { setTouchOver(touchDropTarget(e.clientX, e.clientY)); return; }
+        if (!touchDrag.swipe) {
+            if (Math.hypot(dx, dy) < MOVE_SLOP) return;
+            // vertical movement before the long-press is a scroll; horizontal on a task is a swipe
+            if (touchDrag.kind !== 'task' || Math.abs(dx) < Math.abs(dy) * 2) { endTouchDrag(); return; }
+            clearTimeout(touchDrag.timer);
+            touchDrag.swipe = true;
+            touchDrag.node.classList.add('swiping');
+        }
+        touchDrag.node.style.transform = `translateX(${dx}px)`;
+        if (Math.abs(dx) >= SWIPE_PX) touchDrag.node.dataset.swipe = dx > 0 ? 'done' : 'delete';
+        else delete touchDrag.node.dataset.swipe;
+    });
+
+    window.addEventListener('pointerup', (e) => {
+        if (!touchDrag || e.pointerId !== touchDrag.pointerId) return;
+        const { node, active, swipe } = touchDrag;
+        const action = swipe ? node.dataset.swipe : '';
+        if (active) dropTouchDrag();
+        endTouchDrag();
+        // → only ever completes: a task that is already done stays done (the checkbox would reopen it)
+        if (action === 'done') {
+            mutateTask(node.dataset.secId, node.dataset.taskId,
+                t => `complete task ${quote(t.text)}${t.recur ? ` (next ${t.due})` : ''}`,
+                t => { if (t.done) return false; setTaskStatus(t, 'done'); })
+                .then(ok => { if (ok) announce('Task completed'); });
+        }
+        if (action === 'delete') node.querySelector('.delete-task').click();
+        // the tap that ends a drag or swipe must not also open the task's description
+        if (active || swipe) suppressTouchClick = true;
+    });
+
+    dynamicContainer.addEventListener('click', (e) => {
+        if (!suppressTouchClick) return;
+        suppressTouchClick = false;
+        e.stopPropagation();
+        e.preventDefault();
+    }, true);
+    dynamicContainer.addEventListener('pointerdown', () => { suppressTouchClick = false; }, true);
+
+    window.addEventListener('pointercancel', (e) => { if (touchDrag && e.pointerId === touchDrag.pointerId) endTouchDrag(); });
+    // while something is picked up the page must not pan or pop up the long-press menu
+    document.addEventListener('touchmove', (e) => { if (touchDrag && touchDrag.active) e.preventDefault(); }, { passive: false });
+    document.addEventListener('contextmenu', (e) => { if (touchDrag) e.preventDefault(); });
+
+    /* -------------------------
+       Sidebar drawer (narrow screens) — the ☰ button slides .info-panel in; Escape or a tap outside closes it
+       ------------------------- */
+    const sidebarToggle = document.getElementById('sidebar-toggle');
+
+    function setDrawer(open) {
+        document.body.classList.toggle('drawer-open', open);
+        if (!sidebarToggle) return;
+        sidebarToggle.setAttribute('aria-expanded', String(open));
+        if (open) {
+            const first = document.querySelector('.info-panel').querySelector(FOCUSABLE);
+            if (first) first.focus();
+        } else if (document.querySelector('.info-panel').contains(document.activeElement)) {
+            sidebarToggle.focus();
+        }
+    }
+
+    if (sidebarToggle) {
+        sidebarToggle.addEventListener('click', () => setDrawer(!document.body.classList.contains('drawer-open')));
+        document.addEventListener('click', (e) => {
+            if (document.body.classList.contains('drawer-open') && !e.target.closest('.info-panel, #sidebar-toggle')) setDrawer(false);
+        });
+        document.addEventListener('keydown', (e) => {
+            if (e.key === 'Escape' && document.body.classList.contains('drawer-open')) setDrawer(false);
+        });
+    }
+
+    /* -------------------------
+       Command palette (Ctrl+K) + keyboard task navigation
+       - items: { label, hint, run() } or { label, hint, next() → { placeholder, items } } for two-step commands
+       - j / k (or ↓ / ↑ once a task has focus) move a focus ring over the visible tasks; x e d m act on it
+       ------------------------- */
+    const KEY_BINDINGS = [
+        ['Ctrl+K', 'Command palette'],
+        ['?', 'This list of shortcuts'],
+        ['N', 'New section'],
+        ['Q', 'Quick add task'],
+        ['/', 'Focus search'],
+        ['Ctrl+E', 'Export'],
+        ['Ctrl+Z / Ctrl+Shift+Z', 'Undo / redo'],
+        ['J / ↓', 'Next task'],
+        ['K / ↑', 'Previous task'],
+        ['X', 'Toggle focused task'],
+        ['E', 'Edit focused task'],
+        ['D', 'Delete focused task'],
+        ['M', 'Move focused task to another section'],
+        ['Alt+↑ / Alt+↓', 'Move focused task (or section, from its header) up / down'],
+        ['Alt+← / Alt+→', 'Move focused task to the previous / next section (board: status)'],
+        ['Esc', 'Clear task focus / close dialogs']
+    ];
+    let focusedTaskId = null;
+
+    // Subsequence match; consecutive letters and word starts score higher. Returns null when it doesn't match.
+    function fuzzyMatch(query, text) {
+        const q = query.toLowerCase().replace(/\s+/g, '');
+        if (!q) return { score: 0, hits: [] };
+        const t = text.toLowerCase();
+        const hits = [];
+        let score = 0, from = 0, prev = -2;
+        for (const ch of q) {
+            const i = t.indexOf(ch, from);
+            if (i === -1) return null;
+            score += 1 + (i === prev + 1 ? 3 : 0) + (i === 0 || /[\s\-_/]/.test(t[i - 1]) ? 2 : 0);
+            hits.push(i);
+            prev = i;
+            from = i + 1;
+        }
+        return { score: score - t.length * 0.01, hits };
+    }
+
+    function markHits(text, hits) {
+        const set = new Set(hits);
+        return Array.from(text).map((ch, i) => (set.has(i) ? `<mark>${escapeHtml(ch)}</mark>` : escapeHtml(ch))).join('');
+    }
+
+    async function moveTaskToSection(secId, taskId, toSecId) {
+        const data = await loadData();
+        const from = data.find(s => s.id === secId);
+        const to = data.find(s => s.id === toSecId);
+        const i = findTaskIndex(from, taskId);
+        if (!to || i === -1 || from === to) return;
+        const [moved] = from.tasks.splice(i, 1);
+        to.tasks.push(moved);
+        await saveData(data, { label: `move task ${quote(moved.text)} to ${quote(to.title)}` });
+        await renderAll();
+        setTaskFocus(taskId);
+        toast(`Task moved to ${to.title}, position ${to.tasks.length}`);
+    }
+
+    // Keyboard reordering (Alt+arrows) — same saves as drag and drop, plus a spoken summary
+    async function moveTaskBy(secId, taskId, step) {
+        const data = await loadData();
+        const sec = data.find(s => s.id === secId);
+        const i = findTaskIndex(sec, taskId);
+        const to = i + step;
+        if (i === -1 || to < 0 || to >= sec.tasks.length) { announce(step < 0 ? 'Already first' : 'Already last'); return; }
+        const [moved] = sec.tasks.splice(i, 1);
+        sec.tasks.splice(to, 0, moved);
+        await saveData(data, { label: `move task ${quote(moved.text)}` });
+        await renderAll();
+        setTaskFocus(taskId);
+        announce(`Task moved to ${sec.title}, position ${to + 1} of ${sec.tasks.length}`);
+    }
+
+    async function moveTaskAcross(secId, taskId, step) {
+        const sections = readSections();
+        const task = (sections.find(s => s.id === secId)?.tasks || []).find(t => t.id === taskId);
+        if (!task) return;
+        if (currentView === 'board') {
+            const i = STATUSES.findIndex(x => x.id === task.status);
+            const status = STATUSES[i + step];
+            if (!status) return;
+            await mutateTask(secId, taskId, `move task ${quote(task.text)} to ${status.label}`, (t) => setTaskStatus(t, status.id));
+            setTaskFocus(taskId);
+            announce(`Task moved to ${status.label}`);
+            return;
+        }
+        const target = sections[sections.findIndex(s => s.id === secId) + step];
+        if (target) await moveTaskToSection(secId, taskId, target.id);
+    }
+
+    async function moveSectionBy(secId, step) {
+        const data = await loadData();
+        const i = data.findIndex(s => s.id === secId);
+        const to = i + step;
+        if (i === -1 || to < 0 || to >= data.length) { announce(step < 0 ? 'Already first' : 'Already last'); return; }
+        const [moved] = data.splice(i, 1);
+        data.splice(to, 0, moved);
+        await saveData(data, { label: `move section ${quote(moved.title)}` });
+        await renderAll();
+        const btn = document.querySelector(`section[data-id="${secId}"] .collapse`);
+        if (btn) btn.focus();
+        announce(`Section ${moved.title} moved to position ${to + 1} of ${data.length}`);
+    }
+
+    function allTasks() {
+        return readSections().flatMap(s => s.tasks.map(t => ({ s, t })));
+    }
+
+    function sectionPicker(secId, taskId) {
+        return {
+            placeholder: 'Move to section…',
+            items: readSections().filter(s => s.id !== secId).map(s => ({ label: s.title, hint: `${s.tasks.length} tasks`, run: () => moveTaskToSection(secId, taskId, s.id) }))
+        };
+    }
+
+    function taskPicker(placeholder, run) {
+        return { placeholder, items: allTasks().map(({ s, t }) => ({ label: `${t.done ? '☑' : '☐'} ${t.text}`, hint: s.title, run: () => run(s, t) })) };
+    }
+
+    function paletteCommands() {
+        const toggle = (s, t) => mutateTask(s.id, t.id, (task) => `${task.done ? 'complete' : 'reopen'} task ${quote(task.text)}`, (task) => setTaskStatus(task, task.done ? 'todo' : 'done'));
+        const actions = [
+            { label: 'New section', hint: 'N', run: () => openInitModal() },
+            { label: 'Quick add task', hint: 'Q', run: () => quickAddBtn.click() },
+            { label: 'Search tasks', hint: '/', run: () => searchInput.focus() },
+            { label: 'Undo', hint: 'Ctrl+Z', run: undo },
+            { label: 'Redo', hint: 'Ctrl+Shift+Z', run: redo },
+            ...Object.entries(FORMATS).map(([id, f]) => ({ label: `Export ${f.label.split(' ')[0]}`, hint: f.label, run: () => exportBoards('board', id) })),
+            { label: 'Export…', hint: 'Ctrl+E', run: () => openExportModal() },
+            { label: 'Import…', run: () => importBtn.click() },
+            ...VIEWS.map(v => ({ label: `View: ${v[0].toUpperCase()}${v.slice(1)}`, run: () => setView(v) })),
+            { label: 'Toggle task…', next: () => taskPicker('Toggle which task?', toggle) },
+            { label: 'Move task to…', next: () => taskPicker('Move which task?', (s, t) => openPalette(sectionPicker(s.id, t.id))) },
+            { label: 'Move section up…', next: () => ({ placeholder: 'Move which section up?', items: readSections().map(s => ({ label: s.title, run: () => moveSectionBy(s.id, -1) })) }) },
+            { label: 'Move section down…', next: () => ({ placeholder: 'Move which section down?', items: readSections().map(s => ({ label: s.title, run: () => moveSectionBy(s.id, 1) })) }) },
+            { label: 'Edit task…', next: () => taskPicker('Edit which task?', (s, t) => openTaskModal(s.id, t.id)) },
+            { label: 'Start / stop timer…', next: () => taskPicker('Time which task?', (s, t) => (readTimer() && readTimer().taskId === t.id ? stopTimer() : startTimer(s.id, t.id))) },
+            { label: 'Time report', run: openTimeReportModal },
+            { label: 'Activity log', run: openActivityModal },
+            { label: 'Backups', run: openBackupsModal },
+            { label: 'Reminder settings', run: openReminderSettings },
+            { label: 'Edit quick links', run: openLinksEditor },
+            { label: 'Theme settings', run: openThemeModal },
+            ...Object.entries(THEME_PRESETS).filter(([id]) => id !== 'auto').map(([id, p]) => ({ label: `Theme: ${p.label.split(' ').slice(1).join(' ')}`, run: () => saveBoardMeta({ theme: { ...boardMeta.theme, preset: id } }, 'change theme') })),
+            { label: 'Manage boards', run: openBoardsModal },
+            ...boardsIndex.boards.filter(b => b.id !== boardsIndex.active).map(b => ({ label: `Switch to board ${b.title}`, run: () => switchBoard(b.id) })),
+            { label: 'Keyboard shortcuts', hint: '?', run: openShortcutsOverlay }
+        ];
+        const sections = readSections().map(s => ({ label: `Jump to section ${s.title}`, hint: `${s.tasks.length} tasks`, run: () => revealDueItem({ section: s }) }));
+        const tasks = allTasks().map(({ s, t }) => ({
+            label: t.text,
+            hint: s.title,
+            next: () => ({
+                placeholder: t.text,
+                items: [
+                    { label: t.done ? 'Reopen' : 'Complete', run: () => toggle(s, t) },
+                    { label: 'Edit…', run: () => openTaskModal(s.id, t.id) },
+                    { label: 'Move to…', next: () => sectionPicker(s.id, t.id) },
+                    { label: 'Go to task', run: () => { setTaskFocus(t.id); revealDueItem({ section: s, task: t }); } }
+                ]
+            })
+        }));
+        return { placeholder: 'Type a command, section or task…', items: [...actions, ...sections, ...tasks] };
+    }
+
+    function openPalette(stage = paletteCommands()) {
+        const stack = [stage];
+        const html = `
+      <div class="palette">
+        <input id="mm-palette" class="inline-input" autocomplete="off" spellcheck="false" />
+        <ul id="mm-palette-list" class="palette-list" role="listbox"></ul>
+      </div>
+    `;
+        mm.open(html, ({ container, close }) => {
+            const input = container.querySelector('#mm-palette');
+            const list = container.querySelector('#mm-palette-list');
+            let shown = [];
+            let sel = 0;
+            const draw = () => {
+                const current = stack[stack.length - 1];
+                input.placeholder = current.placeholder;
+                shown = current.items
+                    .map(item => ({ item, m: fuzzyMatch(input.value, item.label) }))
+                    .filter(x => x.m)
+                    .sort((a, b) => b.m.score - a.m.score)
+                    .slice(0, PALETTE_LIMIT);
+                sel = Math.min(sel, Math.max(0, shown.length - 1));
+                list.innerHTML = shown.map(({ item, m }, i) => `
+          <li role="option" data-idx="${i}" aria-selected="${i === sel}">
+            <span>${markHits(item.label, m.hits)}${item.next ? ' ›' : ''}</span>
+            ${item.hint ? `<small>${escapeHtml(item.hint)}</small>` : ''}
+          </li>`).join('') || '<li class="hint">No matches</li>';
+                const active = list.querySelector('[aria-selected="true"]');
+                if (active && active.scrollIntoView) active.scrollIntoView({ block: 'nearest' });
+            };
+            const choose = (i) => {
+                const pick = shown[i];
+                if (!pick) return;
+                if (pick.item.next) {
+                    stack.push(pick.item.next());
+                    input.value = '';
+                    sel = 0;
+                    draw();
+                    return;
+                }
+                close();
+                pick.item.run();
+            };
+            input.addEventListener('input', () => { sel = 0; draw(); });
+            input.addEventListener('keydown', (e) => {
+                if (e.key === 'ArrowDown') { e.preventDefault(); sel = Math.min(shown.length - 1, sel + 1); draw(); }
+                else if (e.key === 'ArrowUp') { e.preventDefault(); sel = Math.max(0, sel - 1); draw(); }
+                else if (e.key === 'Enter') { e.preventDefault(); choose(sel); }
+                else if (e.key === 'Escape') { e.preventDefault(); if (stack.length > 1) { stack.pop(); input.value = ''; draw(); } else close(); }
+                else if (e.key === 'Backspace' && !input.value && stack.length > 1) { stack.pop(); draw(); }
+            });
+            list.addEventListener('click', (e) => {
+                const li = e.target.closest('li[data-idx]');
+                if (li) choose(Number(li.dataset.idx));
+            });
+            draw();
+            input.focus();
+        });
+    }
+
+    function openShortcutsOverlay() {
+        const html = `
+      <h3>⌨️ Keyboard shortcuts</h3>
+      <table class="time-table shortcuts">
+        <tbody>${KEY_BINDINGS.map(([keys, what]) => `<tr><td>${keys.split(' / ').map(k => k.split('+').map(x => `<kbd>${escapeHtml(x)}</kbd>`).join('+')).join(' / ')}</td><td>${escapeHtml(what)}</td></tr>`).join('')}</tbody>
+      </table>
+      <div style="display:flex;justify-content:flex-end;margin-top:10px"><button id="mm-close" class="small">Close</button></div>
+    `;
+        mm.open(html, ({ container, close }) => {
+            const btn = container.querySelector('#mm-close');
+            btn.addEventListener('click', close);
+            btn.focus();
+        });
+    }
+
+    // Focus ring over visible tasks (list rows or board cards); survives re-renders by task id
+    function visibleTaskItems() {
+        return Array.from(dynamicContainer.querySelectorAll('ul.tasks > li[data-task-id]'));
+    }
+
+    function applyTaskFocus() {
+        let found = null;
+        visibleTaskItems().forEach(li => {
+            const on = li.dataset.taskId === focusedTaskId;
+            li.classList.toggle('kb-focus', on);
+            if (on) found = li;
+        });
+        // a re-render dropped focus to <body> (e.g. after a dialog saved) — put it back on the task
+        if (found && (!document.activeElement || document.activeElement === document.body)) {
+            found.tabIndex = -1;
+            found.focus({ preventScroll: true });
+        }
+        return found;
+    }
+
+    function setTaskFocus(taskId) {
+        focusedTaskId = taskId;
+        const li = applyTaskFocus();
+        if (!li) return;
+        li.tabIndex = -1;
+        li.focus({ preventScroll: true });
+        if (li.scrollIntoView) li.scrollIntoView({ block: 'nearest' });
+    }
+
+    function moveTaskFocus(step) {
+        const items = visibleTaskItems();
+        if (!items.length) return;
+        const i = items.findIndex(li => li.dataset.taskId === focusedTaskId);
+        const next = i === -1 ? (step > 0 ? 0 : items.length - 1) : Math.min(items.length - 1, Math.max(0, i + step));
+        setTaskFocus(items[next].dataset.taskId);
+    }
+
+    function focusedTaskItem() {
+        return focusedTaskId ? visibleTaskItems().find(li => li.dataset.taskId === focusedTaskId) : null;
+    }
+
+    function dialogOpen() {
+        const overlay = document.querySelector('.mm-overlay');
+        return Boolean(document.querySelector('.modal:not(.hidden)') || (overlay && overlay.style.display !== 'none'));
+    }
+
+    // Tabbing onto a task's checkbox or buttons makes it the keyboard-focused task too
+    dynamicContainer.addEventListener('focusin', (e) => {
+        const li = e.target.closest('ul.tasks > li[data-task-id]');
+        if (!li || li.dataset.taskId === focusedTaskId) return;
+        focusedTaskId = li.dataset.taskId;
+        visibleTaskItems().forEach(x => x.classList.toggle('kb-focus', x === li));
+    });
 
     /* -------------------------
        Keyboard shortcuts
        ------------------------- */
     window.addEventListener('keydown', (e) => {
+        // Ctrl+K works everywhere, even while typing
+        if (e.key.toLowerCase() === 'k' && (e.ctrlKey || e.metaKey) && !e.altKey) { e.preventDefault(); if (!dialogOpen()) openPalette(); return; }
         const tag = (e.target && e.target.tagName || '').toLowerCase();
-        const isTyping = tag === 'input' || tag === 'textarea' || (e.target && e.target.isContentEditable);
-        if (isTyping) return;
+        const isTyping = (tag === 'input' && !['checkbox', 'radio', 'button'].includes(e.target.type)) || tag === 'textarea' || tag === 'select' || (e.target && e.target.isContentEditable);
+        if (isTyping || dialogOpen()) return;
+        const plain = !e.ctrlKey && !e.metaKey && !e.altKey;
+        // Alt+arrows reorder: the task that has focus, else the section whose header has focus
+        const arrow = { ArrowUp: -1, ArrowDown: 1, ArrowLeft: -1, ArrowRight: 1 }[e.key];
+        if (arrow && e.altKey && !e.ctrlKey && !e.metaKey) {
+            const taskLi = e.target.closest && e.target.closest('ul.tasks > li[data-task-id]') || (e.target === document.body ? focusedTaskItem() : null);
+            const secNode = e.target.closest && e.target.closest('section.todo-section[data-id] .section-header');
+            if (taskLi) {
+                e.preventDefault();
+                if (e.key === 'ArrowUp' || e.key === 'ArrowDown') moveTaskBy(taskLi.dataset.secId, taskLi.dataset.taskId, arrow);
+                else moveTaskAcross(taskLi.dataset.secId, taskLi.dataset.taskId, arrow);
+            } else if (secNode && (e.key === 'ArrowUp' || e.key === 'ArrowDown')) {
+                e.preventDefault();
+                moveSectionBy(secNode.closest('section').dataset.id, arrow);
+            }
+            return;
+        }
+        if (e.key === '?' && plain) { e.preventDefault(); openShortcutsOverlay(); return; }
+        // j / k always walk the tasks; the arrows only once a task has focus, so they still scroll the page otherwise
+        const walk = { j: 1, k: -1 }[e.key] || (focusedTaskItem() && { ArrowDown: 1, ArrowUp: -1 }[e.key]);
+        if (walk && plain) { e.preventDefault(); moveTaskFocus(walk); return; }
+        const li = focusedTaskItem();
+        if (li && plain) {
+            const pick = { x: 'input[type="checkbox"]', e: '.edit-task', d: '.delete-task' }[e.key];
+            if (pick) { e.preventDefault(); li.querySelector(pick).click(); return; }
+            if (e.key === 'm') { e.preventDefault(); openPalette(sectionPicker(li.dataset.secId, li.dataset.taskId)); return; }
+            if (e.key === 'Escape') { focusedTaskId = null; applyTaskFocus(); li.blur(); return; }
+        }
         if (e.key === 'n' && !e.ctrlKey && !e.metaKey && !e.altKey) openInitModal();
         if (e.key === 'q' && !e.ctrlKey && !e.metaKey && !e.altKey) { if (quickAddBtn) quickAddBtn.click(); }
         if (e.key === '/' && !e.ctrlKey && !e.metaKey && !e.altKey) { e.preventDefault(); if (searchInput) searchInput.focus(); }
         if (e.key.toLowerCase() === 'e' && e.ctrlKey) { e.preventDefault(); if (exportBtn) exportBtn.click(); }
-        if (e.key.toLowerCase() === 'z' && (e.ctrlKey || e.metaKey)) { e.preventDefault(); restoreLastSnapshot(); }
+        if (e.key.toLowerCase() === 'z' && (e.ctrlKey || e.metaKey)) { e.preventDefault(); if (e.shiftKey) redo(); else undo(); }
     });
 
+    /* -------------------------
+       Installable app — service worker (sw.js) + "update available" banner
+       - not available from file:// — serve the Pawdash folder over http(s) to install it
+       - a new sw.js waits; Reload tells it to take over and the page reloads once it has
+       - the worker also reports changed html / css / js it fetched in the background
+       ------------------------- */
+    let swRegistration = null;
+
+    function showUpdateBanner() {
+        const banner = document.getElementById('update-banner');
+        if (banner) banner.classList.remove('hidden');
+    }
+
+    function applyUpdate() {
+        const waiting = swRegistration && swRegistration.waiting;
+        if (waiting) waiting.postMessage({ type: 'skip-waiting' }); // controllerchange reloads
+        else location.reload();
+    }
+
+    async function registerServiceWorker() {
+        if (!('serviceWorker' in navigator) || location.protocol === 'file:') return;
+        const hadController = !!navigator.serviceWorker.controller;
+        let reloading = false;
+        navigator.serviceWorker.addEventListener('controllerchange', () => {
+            if (!hadController || reloading) return; // first install just takes control quietly
+            reloading = true;
+            location.reload();
+        });
+        navigator.serviceWorker.addEventListener('message', (e) => {
+            if (e.data && e.data.type === 'update-available') showUpdateBanner();
+        });
+        try {
+            swRegistration = await navigator.serviceWorker.register('sw.js');
+            if (swRegistration.waiting && hadController) showUpdateBanner();
+            swRegistration.addEventListener('updatefound', () => {
+                const worker = swRegistration.installing;
+                if (!worker) return;
+                worker.addEventListener('statechange', () => {
+                    if (worker.state === 'installed' && navigator.serviceWorker.controller) showUpdateBanner();
+                });
+            });
+        } catch (err) {
+            log('service worker registration failed', err);
+        }
+    }
+
     /* -------------------------
        Init bootstrap
        ------------------------- */
     async function init() {
+        // 💾 load every board into memory (moving old localStorage data to IndexedDB on the first run)
+        await storage.open();
+        boardsIndex = readBoardsIndex();
+        storageKey = boardKey(boardsIndex.active);
+        undoHistory = readHistory();
+        await loadActivity();
+        storage.onChange(onExternalChange);
         if (initBtn) initBtn.addEventListener('click', () => openInitModal());
-        if (document.getElementById('connect-folder-btn')) {
-            document.getElementById('connect-folder-btn').addEventListener('click', promptConnectFolder);
-        }
+        document.querySelectorAll('.view-switch [data-view]').forEach(btn => {
+            btn.setAttribute('aria-pressed', String(btn.dataset.view === currentView));
+            btn.addEventListener('click', () => setView(btn.dataset.view));
+        });
+        document.body.classList.toggle('board-view', currentView === 'board');
+        document.body.classList.toggle('stats-view', currentView === 'stats');
         rebuildFilterOptions();
         await renderAll();
 
-        const metaRaw = localStorage.getItem(`${STORAGE_KEY}:meta`);
-        if (metaRaw) {
-            try { const m = JSON.parse(metaRaw); if (m.updatedAt) updateLastSaved(m.updatedAt); } catch { }
+        restoreLastSaved();
+
+        // ✏️ board title is edited in place; Enter commits, Escape reverts
+        const titleEl = document.getElementById('board-title');
+        if (titleEl) {
+            titleEl.addEventListener('keydown', (e) => {
+                if (e.key === 'Enter') { e.preventDefault(); titleEl.blur(); }
+                if (e.key === 'Escape') { titleEl.textContent = boardMeta.title; titleEl.blur(); }
+            });
+            titleEl.addEventListener('blur', () => {
+                const title = titleEl.textContent.trim();
+                if (!title) { titleEl.textContent = boardMeta.title; return; }
+                if (title !== boardMeta.title) renameBoard(boardsIndex.active, title);
+            });
         }
+        const boardSelect = document.getElementById('board-select');
+        if (boardSelect) boardSelect.addEventListener('change', () => switchBoard(boardSelect.value));
+        const boardsBtn = document.getElementById('manage-boards-btn');
+        if (boardsBtn) boardsBtn.addEventListener('click', openBoardsModal);
+        const timerIndicator = document.getElementById('timer-indicator');
+        if (timerIndicator) timerIndicator.addEventListener('click', stopTimer);
+        const timeReportBtn = document.getElementById('time-report-btn');
+        if (timeReportBtn) timeReportBtn.addEventListener('click', openTimeReportModal);
+        refreshTimerUi();
+        const activityBtn = document.getElementById('activity-btn');
+        if (activityBtn) activityBtn.addEventListener('click', openActivityModal);
+        const backupsBtn = document.getElementById('backups-btn');
+        if (backupsBtn) backupsBtn.addEventListener('click', openBackupsModal);
+        const themeBtn = document.getElementById('theme-btn');
+        if (themeBtn) themeBtn.addEventListener('click', openThemeModal);
+
+        // 📲 offline app shell + keep the data from being evicted
+        const updateReload = document.getElementById('update-reload');
+        if (updateReload) updateReload.addEventListener('click', applyUpdate);
+        const updateDismiss = document.getElementById('update-dismiss');
+        if (updateDismiss) updateDismiss.addEventListener('click', () => document.getElementById('update-banner').classList.add('hidden'));
+        registerServiceWorker();
+        requestPersistentStorage();
+
+        // ⏰ due reminders while the tab is open
+        checkReminders();
+        setInterval(checkReminders, REMINDER_CHECK_MS);
+
+        // 🗄️ hourly snapshot check (cheap when nothing changed)
+        maybeHourlyBackup();
+        setInterval(maybeHourlyBackup, BACKUP_CHECK_MS);
+
+        // native folder: restore handle, then re-check the file whenever the tab comes back
+        await restoreDirHandle();
+        document.addEventListener('visibilitychange', () => {
+            if (document.visibilityState === 'visible' && nativeDirHandle && syncState === 'synced') syncWithNativeFile();
+        });
 
         // expose helper
         window.saveOrder = async function () {
             const ids = Array.from(document.querySelectorAll('.todo-section')).map(el => el.dataset.id);
             const data = await loadData();
             const reordered = ids.map(id => data.find(s => s.id === id)).filter(Boolean);
-            await saveData(reordered);
+            await saveData(reordered, { label: 'reorder sections' });
         };
     }
 
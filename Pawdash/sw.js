@@ -0,0 +1,84 @@
+/* 🐾 Pawjects service worker — makes the board installable and usable offline
+   - precaches the app shell (html / css / js / manifest / icon)
+   - only the shell is cached; every other request (health-check probes, links) goes straight to the network
+   - shell requests: served from cache, refreshed from the network in the background;
+     when a refreshed file differs, open pages are told an update is ready ({ type: 'update-available' })
+   - a new sw.js waits until the page asks it to take over ({ type: 'skip-waiting' }), then pages reload
+   - board data never passes through here — it lives in localStorage / IndexedDB
+*/
+const CACHE = 'pawjects-shell-v2'; // bump when the PRECACHE list changes (v1 also cached non-shell GETs)
+const PRECACHE = [
+    './',
+    './Pawjects.html',
+    './Pawjects.css',
+    './Pawjects.js',
+    './manifest.webmanifest',
+    './icon.svg'
+];
+const SHELL = new Set(PRECACHE.map(p => new URL(p, self.location).href)); // absolute, query-less URLs
+
+self.addEventListener('install', (event) => {
+    event.waitUntil(caches.open(CACHE).then(cache => cache.addAll(PRECACHE)));
+});
+
+self.addEventListener('activate', (event) => {
+    event.waitUntil((async () => {
+        const keys = await caches.keys();
+        await Promise.all(keys.filter(k => k.startsWith('pawjects-shell-') && k !== CACHE).map(k => caches.delete(k)));
+        await self.clients.claim();
+    })());
+});
+
+self.addEventListener('message', (event) => {
+    if (event.data && event.data.type === 'skip-waiting') self.skipWaiting();
+});
+
+async function notifyUpdate() {
+    const clients = await self.clients.matchAll({ type: 'window' });
+    clients.forEach(c => c.postMessage({ type: 'update-available' }));
+}
+
+// Fetch a fresh copy; if it differs from what we served, keep it and tell the pages
+async function revalidate(request, cached) {
+    try {
+        const fresh = await fetch(request, { cache: 'no-cache' });
+        if (!fresh.ok) return;
+        const cache = await caches.open(CACHE);
+        if (cached) {
+            const [a, b] = await Promise.all([cached.clone().text(), fresh.clone().text()]);
+            if (a === b) return;
+            await cache.put(request, fresh);
+            await notifyUpdate();
+            return;
+        }
+        await cache.put(request, fresh);
+    } catch {
+        // offline — the cached copy stays
+    }
+}
+
+self.addEventListener('fetch', (event) => {
+    const { request } = event;
+    const url = new URL(request.url);
+    if (request.method !== 'GET') return;
+    const isShell = SHELL.has(url.origin + url.pathname);
+    if (!isShell) {
+        // offline navigation to some other URL: fall back to the app itself; anything else is the network's
+        if (request.mode === 'navigate') event.respondWith(fetch(request).catch(() => caches.match('./Pawjects.html')));
+        return;
+    }
+
+    event.respondWith((async () => {
+        const cached = await caches.match(request, { ignoreSearch: true });
+        if (cached) {
+            event.waitUntil(revalidate(request, cached));
+            return cached;
+        }
+        const res = await fetch(request);
+        if (res.ok) {
+            const cache = await caches.open(CACHE);
+            await cache.put(request, res.clone());
+        }
+        return res;
+    })());
+});